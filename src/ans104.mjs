@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/*
+ * ans104.mjs
+ * ---------------------------------------------
+ * Read ANS-104 bundles (the format Irys bundles data items into) straight
+ * from a `<bundleId>.bin` file, without loading it into memory, and build
+ * small ed25519-signed ones for fixtures (see emulator.mjs).
+ *
+ * Bundle layout:
+ *   32 bytes            item count (little endian)
+ *   count * 64 bytes    per item: 32-byte size (LE) + 32-byte id
+ *   ...                 the items themselves, back to back
+ *
+ * Data item layout:
+ *   2 bytes signature type, signature, owner (lengths depend on the type),
+ *   target flag + 32 bytes, anchor flag + 32 bytes, 8 bytes tag count,
+ *   8 bytes tag bytes length, avro-encoded tags, then the data.
+ *
+ * Usage:
+ *   node ans104.mjs <bundle.bin>                          list items (id, offset, size)
+ *   node ans104.mjs <bundle.bin> --item <id>              show one item's tags and verify it
+ *   node ans104.mjs <bundle.bin> --extract <id> [outfile] write the raw item (or --data for its payload)
+ *
+ * Exit codes:
+ *   0 ok, 1 usage, 2 item not found, 3 item failed verification, 4 other error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import * as ArweaveUtils from 'arweave/node/lib/utils.js';
+
+// signature type -> byte lengths of signature and owner (public key)
+const SIGNATURE_TYPES = {
+  1: { name: 'arweave', sigLength: 512, ownerLength: 512 },
+  2: { name: 'ed25519', sigLength: 64, ownerLength: 32 },
+  3: { name: 'ethereum', sigLength: 65, ownerLength: 65 },
+  4: { name: 'solana', sigLength: 64, ownerLength: 32 },
+  5: { name: 'injectedAptos', sigLength: 64, ownerLength: 32 },
+  6: { name: 'multiAptos', sigLength: 64 * 32 + 4, ownerLength: 32 * 32 + 1 },
+  7: { name: 'typedEthereum', sigLength: 65, ownerLength: 42 },
+};
+
+const READ_BLOCK = 1024 * 1024;
+
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  let read = 0;
+  while (read < length) {
+    const n = fs.readSync(fd, buf, read, length - read, position + read);
+    if (n === 0) throw new Error(`Unexpected end of bundle at byte ${position + read}`);
+    read += n;
+  }
+  return buf;
+}
+
+// Little-endian integer of up to 53 bits from a 32/8-byte field
+function readLE(buf) {
+  let value = 0;
+  for (let i = buf.length - 1; i >= 0; i--) {
+    value = value * 256 + buf[i];
+  }
+  if (!Number.isSafeInteger(value)) throw new Error('Integer field too large');
+  return value;
+}
+
+// ------------------------------ TAGS (AVRO) ---------------------------------
+function decodeTags(buf) {
+  let pos = 0;
+  const readLong = () => {
+    let n = 0;
+    let shift = 1;
+    let b;
+    do {
+      if (pos >= buf.length) throw new Error('Truncated tags');
+      b = buf[pos++];
+      n += (b & 0x7f) * shift;
+      shift *= 128;
+    } while (b & 0x80);
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2; // zigzag
+  };
+  const readBytes = () => {
+    const len = readLong();
+    const out = buf.subarray(pos, pos + len);
+    pos += len;
+    return out.toString('utf8');
+  };
+  const tags = [];
+  if (!buf.length) return tags;
+  for (;;) {
+    let count = readLong();
+    if (count === 0) break;
+    if (count < 0) {
+      count = -count;
+      readLong(); // block size in bytes
+    }
+    for (let i = 0; i < count; i++) {
+      tags.push({ name: readBytes(), value: readBytes() });
+    }
+  }
+  return tags;
+}
+
+// ------------------------------ BUNDLE INDEX --------------------------------
+/**
+ * Read the bundle header. Returns { count, items: [{ id, offset, size }] }
+ * where `offset` is the item's first byte within the bundle.
+ */
+export function readBundleIndex(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const count = readLE(readAt(fd, 0, 32));
+    const headerSize = 32 + count * 64;
+    if (headerSize > fileSize) {
+      throw new Error(`Not an ANS-104 bundle: header claims ${count} items`);
+    }
+    const header = readAt(fd, 32, count * 64);
+    const items = [];
+    let offset = headerSize;
+    for (let i = 0; i < count; i++) {
+      const size = readLE(header.subarray(i * 64, i * 64 + 32));
+      const id = ArweaveUtils.bufferTob64Url(header.subarray(i * 64 + 32, i * 64 + 64));
+      items.push({ id, offset, size });
+      offset += size;
+    }
+    if (offset > fileSize) {
+      throw new Error(`Bundle is truncated: items need ${offset} bytes, file has ${fileSize}`);
+    }
+    return { count, items };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ------------------------------ DATA ITEMS ----------------------------------
+function parseItemHeader(fd, { offset, size }) {
+  let pos = offset;
+  const take = (n) => {
+    if (pos + n > offset + size) throw new Error('Data item header runs past the item');
+    const buf = readAt(fd, pos, n);
+    pos += n;
+    return buf;
+  };
+  const signatureType = take(2).readUInt16LE(0);
+  const config = SIGNATURE_TYPES[signatureType];
+  if (!config) throw new Error(`Unknown signature type ${signatureType}`);
+  const signature = take(config.sigLength);
+  const owner = take(config.ownerLength);
+  const target = take(1)[0] === 1 ? take(32) : Buffer.alloc(0);
+  const anchor = take(1)[0] === 1 ? take(32) : Buffer.alloc(0);
+  const tagCount = readLE(take(8));
+  const tagBytesLength = readLE(take(8));
+  const rawTags = take(tagBytesLength);
+  const tags = decodeTags(rawTags);
+  if (tags.length !== tagCount) {
+    throw new Error(`Tag count mismatch: header says ${tagCount}, decoded ${tags.length}`);
+  }
+  return {
+    signatureType,
+    signatureName: config.name,
+    signature,
+    owner,
+    target,
+    anchor,
+    rawTags,
+    tags,
+    dataOffset: pos,
+    dataSize: offset + size - pos,
+  };
+}
+
+// Arweave deep hash (SHA-384), reading the data element from the file in blocks.
+function deepHashBlob(buf) {
+  const tag = crypto.createHash('sha384').update(Buffer.concat([Buffer.from('blob'), Buffer.from(String(buf.length))]));
+  const data = crypto.createHash('sha384').update(buf);
+  return crypto.createHash('sha384').update(tag.digest()).update(data.digest()).digest();
+}
+
+function deepHashFileRange(fd, start, length) {
+  const tag = crypto.createHash('sha384').update(Buffer.concat([Buffer.from('blob'), Buffer.from(String(length))]));
+  const data = crypto.createHash('sha384');
+  for (let pos = 0; pos < length; pos += READ_BLOCK) {
+    data.update(readAt(fd, start + pos, Math.min(READ_BLOCK, length - pos)));
+  }
+  return crypto.createHash('sha384').update(tag.digest()).update(data.digest()).digest();
+}
+
+function deepHashList(hashes) {
+  let acc = crypto
+    .createHash('sha384')
+    .update(Buffer.concat([Buffer.from('list'), Buffer.from(String(hashes.length))]))
+    .digest();
+  for (const h of hashes) {
+    acc = crypto
+      .createHash('sha384')
+      .update(Buffer.concat([acc, h]))
+      .digest();
+  }
+  return acc;
+}
+
+function verifySignature(header, message) {
+  const { signatureType, signature, owner } = header;
+  if (signatureType === 1) {
+    const key = crypto.createPublicKey({
+      key: { kty: 'RSA', e: 'AQAB', n: ArweaveUtils.bufferTob64Url(owner) },
+      format: 'jwk',
+    });
+    return crypto.verify('sha256', message, { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING }, signature);
+  }
+  if (signatureType === 2 || signatureType === 4) {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: ArweaveUtils.bufferTob64Url(owner) },
+      format: 'jwk',
+    });
+    return crypto.verify(null, message, key, signature);
+  }
+  // Ethereum/Aptos signatures need keccak/secp256k1 support node:crypto does not ship.
+  return null;
+}
+
+/**
+ * Parse (and optionally verify) the item at { id, offset, size } in `file`.
+ * `idValid` checks that the id is SHA-256 of the signature; `signatureValid`
+ * is true/false, or null for signature types that cannot be checked here.
+ */
+export function readDataItem(file, entry, { verify = true } = {}) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const header = parseItemHeader(fd, entry);
+    const id = ArweaveUtils.bufferTob64Url(crypto.createHash('sha256').update(header.signature).digest());
+    const item = {
+      id,
+      offset: entry.offset,
+      size: entry.size,
+      signatureType: header.signatureType,
+      signatureName: header.signatureName,
+      owner: ArweaveUtils.bufferTob64Url(header.owner),
+      target: header.target.length ? ArweaveUtils.bufferTob64Url(header.target) : '',
+      anchor: header.anchor.length ? ArweaveUtils.bufferTob64Url(header.anchor) : '',
+      tags: header.tags,
+      dataOffset: header.dataOffset,
+      dataSize: header.dataSize,
+    };
+    if (verify) {
+      item.idValid = id === entry.id;
+      const message = deepHashList([
+        deepHashBlob(Buffer.from('dataitem')),
+        deepHashBlob(Buffer.from('1')),
+        deepHashBlob(Buffer.from(String(header.signatureType))),
+        deepHashBlob(header.owner),
+        deepHashBlob(header.target),
+        deepHashBlob(header.anchor),
+        deepHashBlob(header.rawTags),
+        deepHashFileRange(fd, header.dataOffset, header.dataSize),
+      ]);
+      item.signatureValid = verifySignature(header, message);
+    }
+    return item;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Find `txid` in a bundle file and verify it. Resolves to the parsed item, or
+ * null if the bundle does not list it.
+ */
+export function locateDataItem(file, txid, opts) {
+  const entry = readBundleIndex(file).items.find((it) => it.id === txid);
+  return entry ? readDataItem(file, entry, opts) : null;
+}
+
+/**
+ * Size and SHA-256 (hex) of a parsed item's data, i.e. what a gateway should
+ * serve at /<id>.
+ */
+export function dataItemDigest(file, item) {
+  const hash = crypto.createHash('sha256');
+  const fd = fs.openSync(file, 'r');
+  try {
+    for (let pos = 0; pos < item.dataSize; pos += READ_BLOCK) {
+      hash.update(readAt(fd, item.dataOffset + pos, Math.min(READ_BLOCK, item.dataSize - pos)));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { size: item.dataSize, sha256: hash.digest('hex'), dataOffset: item.dataOffset };
+}
+
+/** Copy an item's raw bytes (or only its data with `dataOnly`) to `outfile`. */
+export function extractDataItem(file, txid, outfile, { dataOnly = false } = {}) {
+  const item = locateDataItem(file, txid, { verify: false });
+  if (!item) return null;
+  const start = dataOnly ? item.dataOffset : item.offset;
+  const length = dataOnly ? item.dataSize : item.size;
+  const fd = fs.openSync(file, 'r');
+  const out = fs.openSync(outfile, 'w');
+  try {
+    for (let pos = 0; pos < length; pos += READ_BLOCK) {
+      const buf = readAt(fd, start + pos, Math.min(READ_BLOCK, length - pos));
+      fs.writeSync(out, buf);
+    }
+  } finally {
+    fs.closeSync(fd);
+    fs.closeSync(out);
+  }
+  return { ...item, outfile: path.resolve(outfile), bytes: length };
+}
+
+// ------------------------------ BUILDING ------------------------------------
+// Little-endian integer into a zero-padded `length`-byte field
+function writeLE(value, length) {
+  const buf = Buffer.alloc(length);
+  buf.writeUIntLE(value, 0, 6);
+  return buf;
+}
+
+/** Avro-encode `tags` ([{ name, value }]) the way decodeTags reads them. */
+export function encodeTags(tags) {
+  if (!tags.length) return Buffer.alloc(0);
+  const parts = [];
+  const writeLong = (n) => {
+    let z = n >= 0 ? n * 2 : -n * 2 - 1; // zigzag
+    const bytes = [];
+    do {
+      let b = z % 128;
+      z = Math.floor(z / 128);
+      if (z > 0) b |= 0x80;
+      bytes.push(b);
+    } while (z > 0);
+    parts.push(Buffer.from(bytes));
+  };
+  const writeBytes = (s) => {
+    const buf = Buffer.from(String(s), 'utf8');
+    writeLong(buf.length);
+    parts.push(buf);
+  };
+  writeLong(tags.length);
+  for (const { name, value } of tags) {
+    writeBytes(name);
+    writeBytes(value);
+  }
+  writeLong(0);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Sign `data` as an ed25519 data item with a throwaway key (no target or
+ * anchor). Returns { id, raw, dataOffset, dataSize } where `raw` is the whole
+ * item and `dataOffset` is where its data starts within it.
+ */
+export function createDataItem({ data, tags = [] }) {
+  const payload = Buffer.from(data);
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const owner = ArweaveUtils.b64UrlToBuffer(publicKey.export({ format: 'jwk' }).x);
+  const rawTags = encodeTags(tags);
+  const message = deepHashList([
+    deepHashBlob(Buffer.from('dataitem')),
+    deepHashBlob(Buffer.from('1')),
+    deepHashBlob(Buffer.from('2')),
+    deepHashBlob(owner),
+    deepHashBlob(Buffer.alloc(0)),
+    deepHashBlob(Buffer.alloc(0)),
+    deepHashBlob(rawTags),
+    deepHashBlob(payload),
+  ]);
+  const signature = crypto.sign(null, message, privateKey);
+  const sigType = Buffer.alloc(2);
+  sigType.writeUInt16LE(2, 0);
+  const header = Buffer.concat([
+    sigType,
+    signature,
+    owner,
+    Buffer.from([0, 0]), // no target, no anchor
+    writeLE(tags.length, 8),
+    writeLE(rawTags.length, 8),
+    rawTags,
+  ]);
+  return {
+    id: ArweaveUtils.bufferTob64Url(crypto.createHash('sha256').update(signature).digest()),
+    raw: Buffer.concat([header, payload]),
+    dataOffset: header.length,
+    dataSize: payload.length,
+  };
+}
+
+/** Bundle items from createDataItem() into the bytes of an ANS-104 bundle. */
+export function createBundle(items) {
+  const header = [writeLE(items.length, 32)];
+  for (const item of items) {
+    header.push(writeLE(item.raw.length, 32), ArweaveUtils.b64UrlToBuffer(item.id));
+  }
+  return Buffer.concat([...header, ...items.map((item) => item.raw)]);
+}
+
+// ------------------------------ ENTRYPOINT ----------------------------------
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  if (!args.length || args.includes('-h') || args.includes('--help')) {
+    const name = path.basename(process.argv[1]);
+    console.log(`Usage: node ${name} <bundle.bin> [--item <id>] [--extract <id> [outfile] [--data]]`);
+    process.exit(1);
+  }
+  const file = args[0];
+  try {
+    const itemIdx = args.indexOf('--item');
+    const extractIdx = args.indexOf('--extract');
+    if (extractIdx !== -1) {
+      const id = args[extractIdx + 1];
+      const next = args[extractIdx + 2];
+      const outfile = next && !next.startsWith('--') ? next : `${id}.item`;
+      const res = extractDataItem(file, id, outfile, { dataOnly: args.includes('--data') });
+      if (!res) {
+        console.error(`Data item ${id} is not in ${file}`);
+        process.exit(2);
+      }
+      console.log(`Wrote ${res.bytes} bytes to ${res.outfile}`);
+    } else if (itemIdx !== -1) {
+      const id = args[itemIdx + 1];
+      const item = locateDataItem(file, id);
+      if (!item) {
+        console.error(`Data item ${id} is not in ${file}`);
+        process.exit(2);
+      }
+      console.log(JSON.stringify(item, null, 2));
+      if (!item.idValid || item.signatureValid === false) process.exit(3);
+    } else {
+      const { count, items } = readBundleIndex(file);
+      console.log(`${count} data item(s) in ${file}`);
+      for (const it of items) {
+        console.log(`${it.id}  offset=${it.offset}  size=${it.size}`);
+      }
+    }
+  } catch (err) {
+    console.error('ERROR:', err.message);
+    process.exit(4);
+  }
+}
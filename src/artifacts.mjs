@@ -0,0 +1,357 @@
+/*
+ * artifacts.mjs
+ * ---------------------------------------------
+ * Where bundle bytes live while they are being repaired.
+ *
+ * Workspaces: every bundle gets its own directory under WORK_DIR (default:
+ * the OS temp dir, which is also the only writable place on Cloud Functions),
+ * used only under the bundle's lock, so two repairs never write to the same
+ * file. A workspace is removed once its repair succeeds.
+ *
+ * Locks: a lock file per bundle id (under WORK_DIR/backfill-locks) keeps two
+ * repairs of the same bundle from running side by side. Locks left behind by
+ * a dead process are taken over once they go stale.
+ *
+ * Artifact stores: verified bundle files can additionally be kept in an object
+ * store, so a retried job or another instance can skip the download. Set
+ * ARTIFACT_STORE=s3 to use any S3-compatible store (AWS, R2, MinIO, ...):
+ *   S3_ENDPOINT, S3_BUCKET, S3_REGION (default us-east-1), S3_PREFIX,
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_SESSION_TOKEN
+ * The default store (`none`) keeps nothing beyond the workspace.
+ *
+ * A store is any object with:
+ *   persistent          -> whether get() can ever return anything
+ *   get(key, file)      -> Promise<boolean>, true if the artifact was written to `file`
+ *   put(key, file)      -> Promise<void>
+ *   remove(key)         -> Promise<void>
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { pipeline } from 'stream/promises';
+import { computeFileDataRoot } from './chunk-layout.mjs';
+import { sleep } from './cancel.mjs';
+import { config } from './config.mjs';
+
+const LOCK_POLL_MS = 1000;
+const LOCK_STALE_MS = 5 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 60 * 60 * 1000;
+
+export const workRoot = () => config.workDir || os.tmpdir();
+
+// Object key of a tx's data in an artifact store
+export const artifactKey = (txid) => `bundles/${txid}.bin`;
+
+// ------------------------------ WORKSPACES ----------------------------------
+/**
+ * Create a working directory.
+ *
+ * Options:
+ *   dir   use this directory as is; cleanup() leaves it alone (used by the CLIs,
+ *         which keep working in the current directory)
+ *   name  reuse WORK_DIR/backfill-<name>, so a retried repair finds its
+ *         partial download again
+ *   root  parent directory (default WORK_DIR or the OS temp dir)
+ * Without `dir` or `name` a fresh, uniquely named directory is made.
+ */
+export function createWorkspace({ dir, name, root = workRoot() } = {}) {
+  let temporary = true;
+  if (dir) {
+    temporary = false;
+  } else if (name) {
+    dir = path.join(root, `backfill-${name.replace(/[^\w-]/g, '_')}`);
+  } else {
+    fs.mkdirSync(root, { recursive: true });
+    dir = fs.mkdtempSync(path.join(root, 'backfill-'));
+  }
+  dir = path.resolve(dir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    dir,
+    temporary,
+    path: (file) => path.join(dir, file),
+    cleanup() {
+      if (temporary) fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// ------------------------------ LOCKS ---------------------------------------
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function lockIsStale(file, staleMs) {
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (Date.now() - mtimeMs > staleMs) return true;
+    const owner = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return owner.host === os.hostname() && !pidAlive(owner.pid);
+  } catch (err) {
+    // vanished or half-written: let the next attempt decide
+    return false;
+  }
+}
+
+/**
+ * Take the lock for `key`, waiting while another repair holds it. Resolves to
+ * an async release(). The lock file is touched while held, so only locks of
+ * crashed processes go stale. Waiting ends early if `signal` aborts.
+ */
+export async function acquireLock(
+  key,
+  {
+    root = workRoot(),
+    timeoutMs = LOCK_TIMEOUT_MS,
+    staleMs = LOCK_STALE_MS,
+    pollMs = LOCK_POLL_MS,
+    logger = console.log,
+    signal,
+  } = {}
+) {
+  const dir = path.join(root, 'backfill-locks');
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${key.replace(/[^\w-]/g, '_')}.lock`);
+  const deadline = Date.now() + timeoutMs;
+  let announced = false;
+
+  while (true) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }), {
+        flag: 'wx',
+      });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    if (lockIsStale(file, staleMs)) {
+      logger(`Taking over stale lock for ${key}`);
+      fs.rmSync(file, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for the lock on ${key}`);
+    if (!announced) {
+      logger(`${key} is being repaired by another job; waiting for it to finish...`);
+      announced = true;
+    }
+    await sleep(pollMs, signal);
+  }
+
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(file, now, now, () => {});
+  }, Math.max(staleMs / 3, 10));
+  heartbeat.unref();
+
+  return async () => {
+    clearInterval(heartbeat);
+    fs.rmSync(file, { force: true });
+  };
+}
+
+export async function withLock(key, fn, opts) {
+  const release = await acquireLock(key, opts);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+// ------------------------------ STORES --------------------------------------
+export function createNoArtifactStore() {
+  return {
+    persistent: false,
+    async get() {
+      return false;
+    },
+    async put() {},
+    async remove() {},
+  };
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * AWS Signature Version 4 headers for an S3 request. `headers` are extra
+ * headers to sign; the payload is sent unsigned unless `payloadHash` is given.
+ */
+export function signS3Request({
+  method,
+  url,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  headers = {},
+  payloadHash = 'UNSIGNED-PAYLOAD',
+  date = new Date(),
+}) {
+  const u = new URL(url);
+  const amzDate = date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const all = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    host: u.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(sessionToken ? { 'x-amz-security-token': sessionToken } : {}),
+  };
+  const names = Object.keys(all).sort();
+  const signedHeaders = names.join(';');
+  const query = [...u.searchParams]
+    .map(([k, v]) => [encodeURIComponent(k), encodeURIComponent(v)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  const canonicalRequest = [
+    method.toUpperCase(),
+    u.pathname,
+    query,
+    names.map((n) => `${n}:${all[n]}\n`).join(''),
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...rest } = all;
+  return {
+    ...rest,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Artifact store on an S3-compatible object store, using path-style URLs
+ * (<endpoint>/<bucket>/<prefix><key>), which AWS and the usual local
+ * stand-ins (MinIO, localstack, ...) all accept.
+ */
+export function createS3ArtifactStore({
+  endpoint = config.s3Endpoint,
+  bucket = config.s3Bucket,
+  region = config.s3Region,
+  prefix = config.s3Prefix,
+  accessKeyId = config.s3AccessKeyId,
+  secretAccessKey = config.s3SecretAccessKey,
+  sessionToken = config.s3SessionToken,
+  timeout = 10 * 60 * 1000,
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 artifact store needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const urlFor = (key) =>
+    `${endpoint.replace(/\/$/, '')}/${bucket}/${`${prefix}${key}`.split('/').map(encodeURIComponent).join('/')}`;
+  const request = (method, key, { headers = {}, ...config } = {}) => {
+    const url = urlFor(key);
+    return axios({
+      method,
+      url,
+      headers: {
+        ...headers,
+        ...signS3Request({ method, url, region, accessKeyId, secretAccessKey, sessionToken, headers }),
+      },
+      timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+      ...config,
+    });
+  };
+
+  return {
+    persistent: true,
+    async get(key, file) {
+      const resp = await request('GET', key, { responseType: 'stream' });
+      if (resp.status === 404 || resp.status === 403) {
+        // S3 answers 403 for a missing key when the caller may not list the bucket
+        resp.data.destroy();
+        return false;
+      }
+      if (resp.status !== 200) {
+        resp.data.destroy();
+        throw new Error(`S3 GET ${key} failed: HTTP ${resp.status}`);
+      }
+      const tmp = `${file}.s3.partial`;
+      await pipeline(resp.data, fs.createWriteStream(tmp));
+      fs.renameSync(tmp, file);
+      return true;
+    },
+    async put(key, file) {
+      const resp = await request('PUT', key, {
+        headers: { 'content-length': fs.statSync(file).size, 'content-type': 'application/octet-stream' },
+        data: fs.createReadStream(file),
+      });
+      if (resp.status !== 200) throw new Error(`S3 PUT ${key} failed: HTTP ${resp.status}`);
+    },
+    async remove(key) {
+      const resp = await request('DELETE', key);
+      if (resp.status !== 204 && resp.status !== 200 && resp.status !== 404) {
+        throw new Error(`S3 DELETE ${key} failed: HTTP ${resp.status}`);
+      }
+    },
+  };
+}
+
+export function createArtifactStore({ backend = config.artifactStore, ...opts } = {}) {
+  if (backend === 'none') return createNoArtifactStore();
+  if (backend === 's3') return createS3ArtifactStore(opts);
+  throw new Error(`Unknown artifact store: ${backend}`);
+}
+
+// ------------------------------ HELPERS -------------------------------------
+/**
+ * Copy txid's data from `store` to `file`, keeping it only if it hashes to
+ * `dataRoot`. Resolves to true when `file` now holds the verified data; store
+ * errors are logged, not thrown, since the data can still be fetched elsewhere.
+ */
+export async function restoreArtifact(
+  store,
+  txid,
+  file,
+  dataRoot,
+  { logger = console.log, errorLogger = console.error } = {}
+) {
+  if (!store.persistent) return false;
+  try {
+    if (!(await store.get(artifactKey(txid), file))) return false;
+    const root = await computeFileDataRoot(file);
+    if (root !== dataRoot) {
+      errorLogger(`Artifact store copy of ${txid} has data_root ${root}, expected ${dataRoot}; ignoring it.`);
+      fs.rmSync(file, { force: true });
+      return false;
+    }
+    logger(`Restored ${txid} from the artifact store (data_root verified)`);
+    return true;
+  } catch (err) {
+    errorLogger(`Failed to restore ${txid} from the artifact store: ${err.message}`);
+    fs.rmSync(file, { force: true });
+    return false;
+  }
+}
+
+/** Keep a verified copy of `file` in `store`; failures are only logged. */
+export async function saveArtifact(store, txid, file, { logger = console.log, errorLogger = console.error } = {}) {
+  if (!store.persistent) return;
+  try {
+    await store.put(artifactKey(txid), file);
+    logger(`Saved ${txid} to the artifact store`);
+  } catch (err) {
+    errorLogger(`Failed to save ${txid} to the artifact store: ${err.message}`);
+  }
+}
@@ -0,0 +1,102 @@
+/*
+ * auth.mjs
+ * ---------------------------------------------
+ * API keys and per-client limits for the HTTP service.
+ *
+ * When API keys are configured (`apiKeys` / API_KEYS, see config.mjs), the
+ * protected routes need one, sent as `Authorization: Bearer <key>` or
+ * `X-API-Key: <key>`. Without keys the API is open and clients are told apart
+ * by IP. Each client is held to:
+ *   rateLimitPerMinute    repair requests per minute                       -> 429
+ *   maxConcurrentRepairs  repairs running at once, background jobs included -> 429
+ *   maxBundleBytes        size of the largest bundle it may have repaired  -> 413
+ * A key's own limits override the configured defaults; 0 means unlimited.
+ * With keys, a background job belongs to the key that started it.
+ */
+
+import crypto from 'crypto';
+import { config } from './config.mjs';
+
+const LIMITS = ['rateLimitPerMinute', 'maxConcurrentRepairs', 'maxBundleBytes'];
+const MAX_TRACKED_CLIENTS = 10000;
+
+export function createAccessControl({
+  keys = config.apiKeys,
+  defaults = Object.fromEntries(LIMITS.map((l) => [l, config[l]])),
+  now = Date.now,
+} = {}) {
+  const byKey = new Map(keys.map((k) => [k.key, k]));
+  const buckets = new Map(); // client id -> { tokens, updated, rate }
+  const running = new Map(); // client id -> repairs in progress
+
+  const limitsFor = (entry) => Object.fromEntries(LIMITS.map((l) => [l, entry[l] ?? defaults[l]]));
+
+  const reject = (res, status, error, headers = {}) => res.status(status).set(headers).json({ error });
+
+  return {
+    enabled: byKey.size > 0,
+
+    /** Middleware: identify the caller as `req.client`, or answer 401. */
+    authenticate(req, res, next) {
+      if (!byKey.size) {
+        req.client = { id: `ip:${req.ip}`, name: 'anonymous', limits: limitsFor({}) };
+        return next();
+      }
+      const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)/i);
+      const key = bearer ? bearer[1] : req.get('x-api-key');
+      const entry = key && byKey.get(key.trim());
+      if (!entry) {
+        return reject(res, 401, key ? 'Invalid API key' : 'Missing API key', { 'WWW-Authenticate': 'Bearer' });
+      }
+      // The id ends up in job records, so it holds a digest rather than the key itself
+      const digest = crypto.createHash('sha256').update(entry.key).digest('hex').slice(0, 32);
+      req.client = { id: `key:${digest}`, name: entry.name, limits: limitsFor(entry) };
+      next();
+    },
+
+    /** Middleware: token bucket per client refilling at rateLimitPerMinute, or 429 with Retry-After. */
+    rateLimit(req, res, next) {
+      const { id, limits } = req.client;
+      const rate = limits.rateLimitPerMinute;
+      if (!rate) return next();
+      const t = now();
+      const bucket = buckets.get(id) || { tokens: rate, updated: t, rate };
+      bucket.rate = rate;
+      bucket.tokens = Math.min(rate, bucket.tokens + ((t - bucket.updated) * rate) / 60000);
+      bucket.updated = t;
+      buckets.set(id, bucket);
+      if (buckets.size > MAX_TRACKED_CLIENTS) {
+        // Forget clients whose bucket has refilled at its own rate; they start full anyway
+        for (const [other, b] of buckets) {
+          if (other !== id && b.tokens + ((t - b.updated) * b.rate) / 60000 >= b.rate) buckets.delete(other);
+        }
+      }
+      if (bucket.tokens < 1) {
+        const retryAfter = Math.ceil((1 - bucket.tokens) * (60 / rate));
+        return reject(res, 429, `Rate limit of ${rate} request(s) per minute exceeded`, {
+          'Retry-After': String(retryAfter),
+        });
+      }
+      bucket.tokens -= 1;
+      next();
+    },
+
+    /** Take one of the client's repair slots. Returns release(), or null when all are in use. */
+    acquireSlot(client) {
+      const max = client.limits.maxConcurrentRepairs;
+      const inUse = running.get(client.id) || 0;
+      if (max && inUse >= max) return null;
+      running.set(client.id, inUse + 1);
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        const left = (running.get(client.id) || 1) - 1;
+        if (left) running.set(client.id, left);
+        else running.delete(client.id);
+      };
+    },
+
+    reject,
+  };
+}
@@ -0,0 +1,87 @@
+/*
+ * cancel.mjs
+ * ---------------------------------------------
+ * Cancelling a repair part way with an AbortSignal.
+ *
+ * The repair functions take an optional `signal`. It is handed to every axios
+ * request, so aborting it stops the requests in flight; waits (retry delays,
+ * polling, lock waits) end early, and the function rejects with the signal's
+ * reason. Callers abort with cancelledError(why), an Error tagged
+ * `cancelled: true`, which the server and jobs report as status `cancelled`.
+ *
+ * deadlineSignal() also aborts after a time limit; the fetcher uses it for
+ * its own timeouts, with `network` errors as the reason (see
+ * fetch-arweave-chunks.mjs).
+ */
+
+export function cancelledError(message = 'Cancelled') {
+  const e = new Error(message);
+  e.cancelled = true;
+  return e;
+}
+
+// What to reject with once `signal` has aborted: its reason if that is one of
+// our tagged errors, else a plain cancelled error
+export function abortError(signal) {
+  const { reason } = signal;
+  if (reason instanceof Error && (reason.cancelled || reason.network)) return reason;
+  return cancelledError(reason && reason.message ? `Cancelled: ${reason.message}` : 'Cancelled');
+}
+
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError(signal);
+}
+
+/** Wait `ms`, rejecting with abortError() as soon as `signal` aborts. */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Settle like `promise`, or reject with abortError() as soon as `signal`
+ * aborts. The work behind `promise` is not stopped; this only stops waiting.
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(abortError(signal));
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * A signal that aborts when `parent` (if any) does or, with `ms`, after `ms`
+ * milliseconds with the error `onTimeout()` returns. Returns { signal, clear };
+ * call clear() when done so neither the timer nor the listener on `parent`
+ * outlives the operation.
+ */
+export function deadlineSignal(parent, ms, onTimeout = () => cancelledError(`Deadline of ${ms}ms exceeded`)) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+  let timer = null;
+  if (parent) {
+    if (parent.aborted) onAbort();
+    else parent.addEventListener('abort', onAbort, { once: true });
+  }
+  if (ms) timer = setTimeout(() => controller.abort(onTimeout()), ms);
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      if (parent) parent.removeEventListener('abort', onAbort);
+    },
+  };
+}
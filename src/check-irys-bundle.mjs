@@ -3,7 +3,8 @@
  * check-irys-bundle.mjs
  * ---------------------------------------------
  * Given a transaction ID, checks if it is bundled in Arweave (via arweave-search.goldsky.com).
- * If not, checks Irys for a bundle id. Only outputs if the source is 'irys'.
+ * If not, checks Irys for a bundle id. Prints where the tx was found
+ * (source arweave, irys or none) and, for irys, its bundle id and seeds.
  *
  * Usage:
  *   node check-irys-bundle.mjs <txid>
@@ -17,6 +18,8 @@ import http from 'http';
 import { URL } from 'url';
 import path from 'path';
 import axios from 'axios';
+import { throwIfAborted } from './cancel.mjs';
+import { config } from './config.mjs';
 
 function usage() {
   console.log(`Usage: node ${path.basename(process.argv[1])} <txid>\n`);
@@ -24,12 +27,13 @@ function usage() {
   console.log(`  node ${path.basename(process.argv[1])} SIaSQkaJSucywz5Jv5dHQky78Hhur-OEMHn7Jld2ABo`);
 }
 
-async function checkTxArweaveExists(tx_id) {
+async function checkTxArweaveExists(tx_id, signal) {
   try {
-    const resp = await axios.head(`https://arweave.net/${tx_id}`, {
+    const resp = await axios.head(`${config.arweaveGateway}/${tx_id}`, {
       maxRedirects: 5,
-      timeout: 10000,
+      timeout: config.checkTimeoutMs,
       validateStatus: () => true, // Don't throw on any status code
+      signal,
     });
 
     // Check if we got a successful response (including after redirects)
@@ -38,33 +42,37 @@ async function checkTxArweaveExists(tx_id) {
 
     return statusOk && contentLength > 0;
   } catch (err) {
+    throwIfAborted(signal);
     // Log the error for debugging
     console.error(`Error checking Arweave for ${tx_id}:`, err.message);
     return false;
   }
 }
 
-async function checkTxIrysBundle(tx_id) {
+// Irys status of a finalized tx ({ status, bundleTxId, seededTo }), else null
+export async function checkTxIrysBundle(tx_id, signal) {
   try {
-    const resp = await axios.get(`https://node1.irys.xyz/tx/${tx_id}/status`, { timeout: 10000 });
+    const resp = await axios.get(`${config.irysNode}/tx/${tx_id}/status`, { timeout: config.checkTimeoutMs, signal });
     if (resp.data && resp.data.status === 'FINALIZED' && resp.data.bundleTxId) {
       return resp.data;
     }
     return null;
   } catch (err) {
+    throwIfAborted(signal);
     // Optionally log error
     return null;
   }
 }
 
-export async function checkTx(tx_id) {
+// Aborting `signal` cancels the check; it rejects instead of reporting `none`
+export async function checkTx(tx_id, { signal } = {}) {
   // Check Arweave first
-  const arweaveFound = await checkTxArweaveExists(tx_id);
+  const arweaveFound = await checkTxArweaveExists(tx_id, signal);
   if (arweaveFound) {
     return { tx_id, bundle_id: null, source: 'arweave' };
   }
   // Check Irys
-  const irysBundle = await checkTxIrysBundle(tx_id);
+  const irysBundle = await checkTxIrysBundle(tx_id, signal);
   if (irysBundle) {
     return { tx_id, bundle_id: irysBundle.bundleTxId, seeds: irysBundle.seededTo, source: 'irys' };
   }
@@ -79,10 +87,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   }
   const txid = args[0];
   try {
-    const res = await checkTx(txid);
-    if (res.source === 'irys') {
-      console.log(res);
-    }
+    console.log(await checkTx(txid));
     process.exit(0);
   } catch (err) {
     console.error('ERROR:', err.message);
@@ -0,0 +1,277 @@
+/*
+ * chunk-cache.mjs
+ * ---------------------------------------------
+ * A local cache of verified chunks, shared by every fetch on this machine, so
+ * fetching a bundle again (for another data item, or after a failed attempt)
+ * does not download the chunks a previous run already got.
+ *
+ * A chunk is stored under its tx's data_root and its absolute weave offset:
+ *
+ *   <dir>/<dataRoot>/<start>-<end>     start and end (exclusive) are absolute offsets
+ *
+ * holding the chunk's data_path (length-prefixed) followed by its bytes. Only
+ * chunks that verified against the data_root are put in, and a hit is verified
+ * again before it is used, so a damaged entry is dropped rather than served.
+ *
+ * The cache lives in CHUNK_CACHE_DIR (default WORK_DIR/backfill-chunk-cache)
+ * and is capped at CHUNK_CACHE_MAX_BYTES (0 turns it off; by default 1 GiB when
+ * WORK_DIR or CHUNK_CACHE_DIR is set, otherwise off). Once it grows past
+ * the cap, the least recently used chunks are evicted; a hit touches the
+ * file's mtime, which is what "recently used" means across processes.
+ *
+ * Coverage probes (coverage.mjs) never use the cache: they ask whether the
+ * network still serves a chunk, not whether we have it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { verifyChunk } from './chunk-layout.mjs';
+import { workRoot } from './artifacts.mjs';
+import { metrics } from './metrics.mjs';
+import { config } from './config.mjs';
+
+export const defaultChunkCacheDir = () => config.chunkCacheDir || path.join(workRoot(), 'backfill-chunk-cache');
+
+// The `peer` fetchChunk() reports for a chunk taken from the cache
+export const CACHE_PEER = 'cache';
+
+const ENTRY_NAME = /^(\d+)-(\d+)$/;
+// data_roots come from peers and name directories: only plain base64url ones are cached
+const DATA_ROOT = /^[\w-]{43}$/;
+const PATH_LENGTH_BYTES = 4;
+
+function encodeEntry(dataPath, chunk) {
+  const proof = Buffer.from(dataPath, 'utf8');
+  const header = Buffer.alloc(PATH_LENGTH_BYTES);
+  header.writeUInt32BE(proof.length);
+  return Buffer.concat([header, proof, chunk]);
+}
+
+function decodeEntry(raw) {
+  const proofLength = raw.readUInt32BE(0);
+  const dataPath = raw.subarray(PATH_LENGTH_BYTES, PATH_LENGTH_BYTES + proofLength).toString('utf8');
+  return { dataPath, chunk: raw.subarray(PATH_LENGTH_BYTES + proofLength) };
+}
+
+/**
+ * Open the chunk cache in `dir`, evicting down to `maxBytes`.
+ *
+ * Returns:
+ *   get(verify, absPos)       -> Promise<{ buf, start, end } | null>, the chunk holding `absPos`
+ *                                of the tx `verify` ({ dataRoot, startOffset, size }) describes
+ *   put(dataRoot, start, buf, dataPath)
+ *   stats()                   -> { dir, maxBytes, bytes, chunks, dataRoots: [{ dataRoot, chunks, bytes, usedAt }] }
+ *   prune({ maxBytes, dataRoot, all }) -> { chunks, bytes } removed: the least recently used
+ *                                chunks down to `maxBytes` (default the cap), every chunk of
+ *                                `dataRoot`, or with `all` everything
+ */
+export function createChunkCache({ dir = defaultChunkCacheDir(), maxBytes = config.chunkCacheMaxBytes } = {}) {
+  dir = path.resolve(dir);
+  const roots = new Map(); // dataRoot -> Map(start -> { name, start, end, bytes, usedAt })
+  const scannedAt = new Map(); // dataRoot -> mtime of its directory when last read
+  let total = 0;
+
+  const rootDir = (dataRoot) => path.join(dir, dataRoot);
+  const dirMtime = (dataRoot) => {
+    try {
+      return fs.statSync(rootDir(dataRoot)).mtimeMs;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  // (Re)read one data_root's entries from disk
+  function scanRoot(dataRoot) {
+    const old = roots.get(dataRoot);
+    if (old) for (const e of old.values()) total -= e.bytes;
+    scannedAt.set(dataRoot, dirMtime(dataRoot));
+    const entries = new Map();
+    let names = [];
+    try {
+      names = fs.readdirSync(rootDir(dataRoot));
+    } catch (err) {
+      // gone, or a stray file by that name: nothing cached for it
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+    }
+    for (const name of names) {
+      const m = ENTRY_NAME.exec(name);
+      if (!m) continue;
+      try {
+        const { size, mtimeMs } = fs.statSync(path.join(rootDir(dataRoot), name));
+        entries.set(m[1], { name, start: BigInt(m[1]), end: BigInt(m[2]), bytes: size, usedAt: mtimeMs });
+        total += size;
+      } catch (err) {
+        // removed by another process meanwhile
+      }
+    }
+    if (entries.size) roots.set(dataRoot, entries);
+    else roots.delete(dataRoot);
+    return entries;
+  }
+
+  // Other processes add to the cache too: re-read a data_root whose directory changed
+  function entriesFor(dataRoot) {
+    if (scannedAt.has(dataRoot) && scannedAt.get(dataRoot) === dirMtime(dataRoot)) {
+      return roots.get(dataRoot) || new Map();
+    }
+    return scanRoot(dataRoot);
+  }
+
+  function scanAll() {
+    roots.clear();
+    scannedAt.clear();
+    total = 0;
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const name of names.filter((n) => DATA_ROOT.test(n))) scanRoot(name);
+  }
+
+  function remove(dataRoot, key) {
+    const entries = roots.get(dataRoot);
+    const entry = entries && entries.get(key);
+    if (!entry) return 0;
+    fs.rmSync(path.join(rootDir(dataRoot), entry.name), { force: true });
+    entries.delete(key);
+    total -= entry.bytes;
+    if (!entries.size) {
+      roots.delete(dataRoot);
+      fs.rmSync(rootDir(dataRoot), { recursive: true, force: true });
+    }
+    scannedAt.set(dataRoot, dirMtime(dataRoot));
+    return entry.bytes;
+  }
+
+  // Fetches ask for chunk starts, except for the first chunk of a resumed or sliced read
+  function findEntry(entries, absPos) {
+    const exact = entries.get(absPos.toString());
+    if (exact) return exact;
+    for (const e of entries.values()) if (e.start <= absPos && absPos < e.end) return e;
+    return null;
+  }
+
+  // Evict least recently used chunks until at most `limit` bytes are left
+  function evict(limit) {
+    const removed = { chunks: 0, bytes: 0 };
+    if (total <= limit) return removed;
+    const byAge = [];
+    for (const [dataRoot, entries] of roots) {
+      for (const [key, e] of entries) byAge.push({ dataRoot, key, usedAt: e.usedAt });
+    }
+    byAge.sort((a, b) => a.usedAt - b.usedAt);
+    for (const { dataRoot, key } of byAge) {
+      if (total <= limit) break;
+      removed.bytes += remove(dataRoot, key);
+      removed.chunks++;
+    }
+    return removed;
+  }
+
+  scanAll();
+
+  return {
+    dir,
+    maxBytes,
+
+    async get(verify, absPos) {
+      const { dataRoot } = verify;
+      if (!DATA_ROOT.test(dataRoot)) return null;
+      const entry = findEntry(entriesFor(dataRoot), absPos);
+      if (!entry) {
+        metrics.chunkCacheLookups.inc({ result: 'miss' });
+        return null;
+      }
+      const file = path.join(rootDir(dataRoot), entry.name);
+      try {
+        const { dataPath, chunk } = decodeEntry(fs.readFileSync(file));
+        const proven = await verifyChunk({
+          dataRoot,
+          size: Number(verify.size),
+          relPos: Number(absPos - verify.startOffset),
+          chunk,
+          dataPath,
+        });
+        const start = verify.startOffset + BigInt(proven.start);
+        if (start !== entry.start) throw new Error(`Cached chunk ${entry.name} is proven to start at ${start}`);
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+        entry.usedAt = now.getTime();
+        metrics.chunkCacheLookups.inc({ result: 'hit' });
+        return { buf: chunk, start, end: start + BigInt(chunk.length) - 1n };
+      } catch (err) {
+        // Vanished, truncated or no longer verifying: forget it and go to the peers
+        remove(dataRoot, entry.start.toString());
+        metrics.chunkCacheLookups.inc({ result: 'bad' });
+        return null;
+      }
+    },
+
+    put(dataRoot, start, buf, dataPath) {
+      if (!maxBytes || !dataPath || !DATA_ROOT.test(dataRoot)) return;
+      const entries = roots.get(dataRoot) || new Map();
+      if (entries.has(start.toString())) return;
+      const end = start + BigInt(buf.length);
+      const name = `${start}-${end}`;
+      const file = path.join(rootDir(dataRoot), name);
+      const tmp = `${file}.${process.pid}.tmp`;
+      const raw = encodeEntry(dataPath, buf);
+      try {
+        fs.mkdirSync(rootDir(dataRoot), { recursive: true });
+        fs.writeFileSync(tmp, raw);
+        fs.renameSync(tmp, file);
+      } catch (err) {
+        // A full or read-only disk only costs the cache entry, not the fetch
+        fs.rm(tmp, { force: true }, () => {});
+        return;
+      }
+      entries.set(start.toString(), { name, start, end, bytes: raw.length, usedAt: Date.now() });
+      roots.set(dataRoot, entries);
+      scannedAt.set(dataRoot, dirMtime(dataRoot));
+      total += raw.length;
+      evict(maxBytes);
+    },
+
+    stats() {
+      scanAll();
+      const dataRoots = [...roots].map(([dataRoot, entries]) => {
+        const list = [...entries.values()];
+        return {
+          dataRoot,
+          chunks: list.length,
+          bytes: list.reduce((n, e) => n + e.bytes, 0),
+          usedAt: new Date(Math.max(...list.map((e) => e.usedAt))).toISOString(),
+        };
+      });
+      dataRoots.sort((a, b) => (a.usedAt < b.usedAt ? 1 : -1));
+      const chunks = dataRoots.reduce((n, r) => n + r.chunks, 0);
+      return { dir, maxBytes, bytes: total, chunks, dataRoots };
+    },
+
+    prune({ maxBytes: limit = maxBytes, dataRoot, all = false } = {}) {
+      scanAll();
+      if (dataRoot) {
+        const removed = { chunks: 0, bytes: 0 };
+        for (const key of [...(roots.get(dataRoot) || new Map()).keys()]) {
+          removed.bytes += remove(dataRoot, key);
+          removed.chunks++;
+        }
+        return removed;
+      }
+      return evict(all ? 0 : limit);
+    },
+  };
+}
+
+// One cache per directory in this process, so every fetch shares its index
+const shared = new Map();
+
+/** The configured cache, or null when it is turned off (see chunkCacheMaxBytes in config.mjs). */
+export function sharedChunkCache() {
+  if (!config.chunkCacheMaxBytes) return null;
+  const dir = path.resolve(defaultChunkCacheDir());
+  if (!shared.has(dir)) shared.set(dir, createChunkCache({ dir }));
+  return shared.get(dir);
+}
@@ -0,0 +1,142 @@
+/*
+ * chunk-layout.mjs
+ * ---------------------------------------------
+ * Where Arweave puts the chunk boundaries of a transaction's data, how to build
+ * its merkle tree (data_root and chunk proofs) from a file, and how to check
+ * that a chunk really belongs to it.
+ *
+ * This mirrors `chunkData` in arweave-js (arweave/node/lib/merkle.js): data is
+ * cut into 256 KiB chunks, except that when the remainder after a full chunk
+ * would be smaller than 32 KiB, the last two chunks are split evenly instead.
+ * Offsets are relative to the start of the transaction data; `end` is exclusive.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import {
+  MAX_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  validatePath,
+  bufferToInt,
+  generateLeaves,
+  buildLayers,
+  intToBuffer,
+} from 'arweave/node/lib/merkle.js';
+import * as ArweaveUtils from 'arweave/node/lib/utils.js';
+
+const HASH_SIZE = 32;
+const NOTE_SIZE = 32;
+
+export function planChunks(size) {
+  const chunks = [];
+  let cursor = 0;
+  let rest = size;
+  while (rest >= MAX_CHUNK_SIZE) {
+    let chunkSize = MAX_CHUNK_SIZE;
+    const nextChunkSize = rest - MAX_CHUNK_SIZE;
+    if (nextChunkSize > 0 && nextChunkSize < MIN_CHUNK_SIZE) {
+      chunkSize = Math.ceil(rest / 2);
+    }
+    chunks.push({ index: chunks.length, start: cursor, end: cursor + chunkSize });
+    cursor += chunkSize;
+    rest -= chunkSize;
+  }
+  // arweave-js drops a trailing zero-length chunk
+  if (rest > 0 || chunks.length === 0) {
+    chunks.push({ index: chunks.length, start: cursor, end: cursor + rest });
+  }
+  return chunks;
+}
+
+export function readRange(fd, start, end) {
+  const buf = Buffer.alloc(end - start);
+  let read = 0;
+  while (read < buf.length) {
+    const n = fs.readSync(fd, buf, read, buf.length - read, start + read);
+    if (n === 0) throw new Error(`Unexpected end of file at byte ${start + read}`);
+    read += n;
+  }
+  return buf;
+}
+
+/**
+ * Build the merkle tree for an open file one chunk at a time. Only chunk
+ * hashes and tree nodes are kept in memory, never the data itself.
+ * `root.id` is the data_root; `chunks` are the uploadable chunk ranges.
+ */
+export async function buildTreeFromFile(fd, size) {
+  const chunks = [];
+  for (const { start, end } of planChunks(size)) {
+    const dataHash = crypto.createHash('sha256').update(readRange(fd, start, end)).digest();
+    chunks.push({ dataHash: new Uint8Array(dataHash), minByteRange: start, maxByteRange: end });
+  }
+  // When the data ends on a full chunk, arweave-js hashes a trailing zero-length
+  // chunk into the tree (so it affects data_root) but never uploads it.
+  const leafChunks = [...chunks];
+  const last = chunks[chunks.length - 1];
+  if (last && last.maxByteRange - last.minByteRange === MAX_CHUNK_SIZE) {
+    const emptyHash = crypto.createHash('sha256').digest();
+    leafChunks.push({ dataHash: new Uint8Array(emptyHash), minByteRange: size, maxByteRange: size });
+  }
+  const root = await buildLayers(await generateLeaves(leafChunks));
+  return { root, chunks };
+}
+
+/**
+ * The data_path proof for the chunk ending at `maxByteRange`, built by walking
+ * down from the root (same layout as generateProofs in arweave-js).
+ */
+export function proofFor(root, maxByteRange) {
+  const parts = [];
+  let node = root;
+  while (node.type === 'branch') {
+    parts.push(node.leftChild.id, node.rightChild.id, intToBuffer(node.byteRange));
+    node = maxByteRange - 1 < node.byteRange ? node.leftChild : node.rightChild;
+  }
+  parts.push(node.dataHash, intToBuffer(node.maxByteRange));
+  return ArweaveUtils.concatBuffers(parts);
+}
+
+/**
+ * Compute the data_root of a file without loading it into memory.
+ */
+export async function computeFileDataRoot(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { root } = await buildTreeFromFile(fd, fs.fstatSync(fd).size);
+    return ArweaveUtils.bufferTob64Url(root.id);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Check a chunk served by a peer against the transaction's data_root.
+ *
+ * `relPos` is the (relative) byte that was requested; the chunk's data_path
+ * must prove a leaf covering it under `dataRoot`, and the chunk bytes must
+ * hash to that leaf. Returns the proven { start, end } (relative, end
+ * exclusive) or throws when the chunk does not verify.
+ */
+export async function verifyChunk({ dataRoot, size, relPos, chunk, dataPath }) {
+  if (typeof dataPath !== 'string' || !dataPath) {
+    throw new Error('Chunk has no data_path');
+  }
+  const path = ArweaveUtils.b64UrlToBuffer(dataPath);
+  const proven = await validatePath(ArweaveUtils.b64UrlToBuffer(dataRoot), relPos, 0, size, path);
+  if (!proven) {
+    throw new Error(`data_path does not prove offset ${relPos} under data_root ${dataRoot}`);
+  }
+  // The leaf (last element of the path) is the chunk's SHA-256 followed by its end offset.
+  const leaf = path.slice(path.length - HASH_SIZE - NOTE_SIZE);
+  const leafHash = Buffer.from(leaf.slice(0, HASH_SIZE));
+  const leafEnd = bufferToInt(leaf.slice(HASH_SIZE));
+  const chunkHash = crypto.createHash('sha256').update(chunk).digest();
+  if (!chunkHash.equals(leafHash) || leafEnd !== proven.rightBound) {
+    throw new Error(`Chunk bytes do not match the proven leaf for offset ${relPos}`);
+  }
+  if (chunk.length !== proven.rightBound - proven.leftBound) {
+    throw new Error(`Chunk is ${chunk.length} bytes but the proof covers ${proven.rightBound - proven.leftBound}`);
+  }
+  return { start: proven.leftBound, end: proven.rightBound };
+}
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/*
+ * cli.mjs
+ * ---------------------------------------------
+ * The `backfill` command: every script behind one set of options.
+ *
+ * Usage:
+ *   backfill check <txid>...                    where each tx is served from (arweave | irys | none)
+ *   backfill status <txid>...                   diagnose why a tx is unavailable (see diagnose.mjs)
+ *   backfill fetch <txid> [outfile]             download a tx's data from Arweave chunks
+ *                  [--concurrency N] [--discover] [--verbose]
+ *   backfill reupload <txid> [--file path]      post a tx's chunks from a local copy
+ *                  [--only-missing] [--dry-run] [--nodes n1,n2] [--quorum N]
+ *   backfill fix <txid>                         check, fetch, reupload and verify one tx
+ *   backfill batch <txid>... [--file txids.txt] the same for many txs, each bundle repaired once
+ *   backfill cache stats                        what the local chunk cache holds (see chunk-cache.mjs)
+ *   backfill cache prune [--max-bytes N]        evict least recently used chunks down to N bytes
+ *                  [--data-root R] [--all]      (default the cap), or one data_root's, or all
+ *   backfill cache warm <txid>...               fetch txs' chunks into the cache ahead of a repair;
+ *                  [--concurrency N]            a data item's bundle (as Irys reports it) is fetched
+ *
+ * Shared options:
+ *   --config FILE   config file (BACKFILL_CONFIG, see config.mjs)
+ *   --gateway URL   Arweave gateway (ARWEAVE_GATEWAY)
+ *   --irys URL      Irys node (IRYS_NODE)
+ *   --peers p1,p2   extra peers to fetch from, probe and post to
+ *   --timeout MS    fetch and check timeout (FETCH_TIMEOUT_MS, CHECK_TIMEOUT_MS)
+ *   --json          one JSON result per tx on stdout (JSON lines); logs go to stderr
+ *
+ * Txids are read from stdin when none are given (or with `-`), separated by
+ * whitespace or commas, so `backfill check ... --json | jq ... | backfill batch`
+ * works.
+ *
+ * Exit codes:
+ *   0 ok: served, done, fixed or nothing to do
+ *   1 usage or configuration error
+ *   2 network failure: no peer or node served what was needed
+ *   3 incomplete: a fetch came up short, chunks were not all accepted, or the
+ *     tx was still not served when polling gave up
+ *   4 other error
+ *   5 not found: unknown to Irys, or not in the bundle Irys names
+ *   6 needs repair: finalized on Irys but not served (check, status)
+ * With several txids the exit code is the highest of theirs.
+ */
+
+import fs from 'fs';
+
+const EXIT = { ok: 0, usage: 1, network: 2, incomplete: 3, error: 4, notFound: 5, needsRepair: 6 };
+
+function usageError(message) {
+  const e = new Error(message);
+  e.usage = true;
+  return e;
+}
+
+// Modules tag failures with `network` / `incomplete`
+const exitCodeFor = (err) =>
+  err.usage ? EXIT.usage : err.network ? EXIT.network : err.incomplete ? EXIT.incomplete : EXIT.error;
+
+const list = (v) =>
+  String(v)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// ------------------------------ ARGUMENTS -----------------------------------
+// Options taking a value, and flags, accepted by every command
+const SHARED_OPTIONS = ['--config', '--gateway', '--irys', '--peers', '--timeout'];
+const SHARED_FLAGS = ['--json', '--help', '-h'];
+
+function parseArgs(args, { options = [], flags = [] }) {
+  const positionals = [];
+  const opts = {};
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if ([...SHARED_OPTIONS, ...options].includes(a)) {
+      if (i + 1 >= args.length) throw usageError(`${a} requires a value`);
+      opts[a.replace(/^-+/, '')] = args[++i];
+    } else if ([...SHARED_FLAGS, ...flags].includes(a)) {
+      opts[a.replace(/^-+/, '')] = true;
+    } else if (a.startsWith('-') && a !== '-') {
+      throw usageError(`Unknown option: ${a}`);
+    } else {
+      positionals.push(a);
+    }
+  }
+  return { positionals, opts };
+}
+
+// Settings are frozen when config.mjs is first imported, so this runs before
+// any other module is loaded
+function applySharedOptions(opts) {
+  if (opts.config) process.env.BACKFILL_CONFIG = opts.config;
+  if (opts.gateway) process.env.ARWEAVE_GATEWAY = opts.gateway;
+  if (opts.irys) process.env.IRYS_NODE = opts.irys;
+  if (opts.timeout !== undefined) {
+    if (!/^\d+$/.test(opts.timeout)) throw usageError(`--timeout must be a number of milliseconds`);
+    process.env.FETCH_TIMEOUT_MS = opts.timeout;
+    process.env.CHECK_TIMEOUT_MS = opts.timeout;
+  }
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Positional txids, else (or for `-`) the ones piped in. A command with
+// another source of txids (batch --file) passes `stdin: false`, so only `-`
+// makes it read stdin.
+async function readTxids(positionals, { stdin = true } = {}) {
+  const { parseTxidList } = await import('./fix.mjs');
+  const given = positionals.filter((p) => p !== '-');
+  if ((stdin && !given.length && !process.stdin.isTTY) || positionals.includes('-')) {
+    given.push(...parseTxidList(await readStdin()));
+  }
+  return given;
+}
+
+async function singleTxid(positionals, command) {
+  const txids = await readTxids(positionals);
+  if (txids.length !== 1) {
+    const hint = command === 'fix' ? ' (use `backfill batch` for several)' : '';
+    throw usageError(`${command} takes exactly one txid, got ${txids.length}${hint}`);
+  }
+  return txids[0];
+}
+
+// ------------------------------ COMMANDS ------------------------------------
+// Each command resolves to its exit code. `out(result, line)` prints `result`
+// as JSON with --json and `line` otherwise; `hooks` send logs to stderr with --json.
+const COMMANDS = {
+  check: {
+    usage: 'check <txid>...',
+    async run({ positionals }, { out }) {
+      const { checkTx } = await import('./check-irys-bundle.mjs');
+      const txids = await readTxids(positionals);
+      if (!txids.length) throw usageError('No txids given');
+      let code = EXIT.ok;
+      for (const txid of txids) {
+        const { source, bundle_id, seeds = [] } = await checkTx(txid);
+        out({ txid, source, bundle_id, seeds }, `${txid}: ${source}${bundle_id ? ` (bundle ${bundle_id})` : ''}`);
+        code = Math.max(code, { arweave: EXIT.ok, irys: EXIT.needsRepair, none: EXIT.notFound }[source]);
+      }
+      return code;
+    },
+  },
+
+  status: {
+    usage: 'status <txid>...',
+    async run({ positionals, opts }, { out, hooks }) {
+      const { diagnoseTx } = await import('./diagnose.mjs');
+      const txids = await readTxids(positionals);
+      if (!txids.length) throw usageError('No txids given');
+      let code = EXIT.ok;
+      for (const txid of txids) {
+        const report = await diagnoseTx(txid, { peers: opts.peers, logger: hooks.logger });
+        out(report, `${txid}: ${report.diagnosis} -> ${report.action}`);
+        const byDiagnosis = { available: EXIT.ok, not_found: EXIT.notFound, irys_unreachable: EXIT.network };
+        code = Math.max(code, byDiagnosis[report.diagnosis] ?? EXIT.needsRepair);
+      }
+      return code;
+    },
+  },
+
+  fetch: {
+    usage: 'fetch <txid> [outfile] [--concurrency N] [--discover] [--verbose]',
+    options: ['--concurrency'],
+    flags: ['--discover', '--verbose'],
+    async run({ positionals, opts }, { out, hooks }) {
+      const { fetchArweaveChunks } = await import('./fetch-arweave-chunks.mjs');
+      const txid = await singleTxid(positionals.slice(0, 1), 'fetch');
+      try {
+        const res = await fetchArweaveChunks(
+          {
+            txid,
+            outfile: positionals[1],
+            peers: opts.peers,
+            concurrency: opts.concurrency ? parseInt(opts.concurrency, 10) : undefined,
+            discover: !!opts.discover,
+            verbose: !!opts.verbose,
+          },
+          hooks
+        );
+        out({ txid, status: 'ok', ...res }, `Wrote ${res.bytes} bytes to ${res.outfile}`);
+        return EXIT.ok;
+      } catch (err) {
+        out({ txid, status: 'error', error: err.message }, `ERROR: ${err.message}`);
+        return exitCodeFor(err);
+      }
+    },
+  },
+
+  reupload: {
+    usage: 'reupload <txid> [--file path] [--only-missing] [--dry-run] [--nodes n1,n2] [--quorum N]',
+    options: ['--file', '--nodes', '--quorum'],
+    flags: ['--only-missing', '--dry-run'],
+    async run({ positionals, opts }, { out, hooks }) {
+      const { reuploadChunks } = await import('./reupload.mjs');
+      const txid = await singleTxid(positionals, 'reupload');
+      try {
+        const { coverage, ...res } = await reuploadChunks(txid, {
+          ...hooks,
+          file: opts.file,
+          onlyMissing: !!opts['only-missing'],
+          dryRun: !!opts['dry-run'],
+          peers: opts.peers,
+          nodes: opts.nodes ? list(opts.nodes) : undefined,
+          quorum: opts.quorum !== undefined ? parseInt(opts.quorum, 10) : undefined,
+        });
+        out({ txid, status: 'ok', ...res }, `Uploaded ${res.uploaded} of ${res.totalChunks} chunk(s) of ${txid}`);
+        return EXIT.ok;
+      } catch (err) {
+        out({ txid, status: 'error', error: err.message }, `ERROR: ${err.message}`);
+        return exitCodeFor(err);
+      }
+    },
+  },
+
+  fix: {
+    usage: 'fix <txid>',
+    async run({ positionals, opts }, { out, hooks }) {
+      const { fixArweaveTx } = await import('./fix.mjs');
+      const txid = await singleTxid(positionals, 'fix');
+      try {
+        const result = await fixArweaveTx(txid, { ...hooks, peers: opts.peers });
+        out({ txid, ...result }, `${txid}: ${result.status}`);
+        return ['fixed', 'already_on_arweave'].includes(result.status) ? EXIT.ok : EXIT.notFound;
+      } catch (err) {
+        out({ txid, status: 'error', error: err.message }, `${txid}: error: ${err.message}`);
+        return exitCodeFor(err);
+      }
+    },
+  },
+
+  batch: {
+    usage: 'batch <txid>... [--file txids.txt]',
+    options: ['--file'],
+    async run({ positionals, opts }, { out, hooks }) {
+      const { fixArweaveTxBatch, parseTxidList } = await import('./fix.mjs');
+      const txids = await readTxids(positionals, { stdin: !opts.file });
+      if (opts.file) txids.push(...parseTxidList(fs.readFileSync(opts.file, 'utf8')));
+      if (!txids.length) throw usageError('No txids given');
+      const results = await fixArweaveTxBatch(txids, { ...hooks, peers: opts.peers });
+      const byStatus = {
+        fixed: EXIT.ok,
+        already_on_arweave: EXIT.ok,
+        not_found_on_irys: EXIT.notFound,
+        not_in_bundle: EXIT.notFound,
+      };
+      // A failed txid exits as `fix` would have on the error behind it
+      const byKind = { network: EXIT.network, incomplete: EXIT.incomplete };
+      let code = EXIT.ok;
+      for (const r of results) {
+        out(r, `${r.txid}: ${r.status}${r.error ? `: ${r.error}` : ''}`);
+        code = Math.max(code, byStatus[r.status] ?? byKind[r.kind] ?? EXIT.error);
+      }
+      return code;
+    },
+  },
+
+  cache: {
+    usage: 'cache stats | prune [--max-bytes N] [--data-root R] [--all] | warm <txid>... [--concurrency N]',
+    options: ['--max-bytes', '--data-root', '--concurrency'],
+    flags: ['--all'],
+    async run({ positionals, opts }, context) {
+      const [action, ...rest] = positionals;
+      if (!CACHE_ACTIONS[action]) throw usageError(`cache takes stats, prune or warm, got ${action || 'nothing'}`);
+      const { createChunkCache } = await import('./chunk-cache.mjs');
+      return CACHE_ACTIONS[action](createChunkCache(), rest, opts, context);
+    },
+  },
+};
+
+// ------------------------------ CHUNK CACHE ---------------------------------
+const CACHE_ACTIONS = {
+  stats(cache, positionals, opts, { out }) {
+    const s = cache.stats();
+    const lines = [`${s.dir}: ${s.chunks} chunk(s), ${s.bytes} of ${s.maxBytes} bytes`];
+    for (const r of s.dataRoots)
+      lines.push(`  ${r.dataRoot}  ${r.chunks} chunk(s), ${r.bytes} bytes, used ${r.usedAt}`);
+    out(s, lines.join('\n'));
+    return EXIT.ok;
+  },
+
+  prune(cache, positionals, opts, { out }) {
+    if (positionals.length) throw usageError('cache prune takes no txids');
+    if (opts['max-bytes'] !== undefined && !/^\d+$/.test(opts['max-bytes'])) {
+      throw usageError('--max-bytes must be a number of bytes');
+    }
+    const removed = cache.prune({
+      maxBytes: opts['max-bytes'] !== undefined ? Number(opts['max-bytes']) : undefined,
+      dataRoot: opts['data-root'],
+      all: !!opts.all,
+    });
+    out({ status: 'ok', ...removed }, `Removed ${removed.chunks} chunk(s), ${removed.bytes} bytes`);
+    return EXIT.ok;
+  },
+
+  async warm(cache, positionals, opts, { out, hooks }) {
+    const { checkTxIrysBundle } = await import('./check-irys-bundle.mjs');
+    const { fetchArweaveChunks } = await import('./fetch-arweave-chunks.mjs');
+    const { createWorkspace } = await import('./artifacts.mjs');
+    const { CACHE_PEER } = await import('./chunk-cache.mjs');
+    const txids = await readTxids(positionals);
+    if (!txids.length) throw usageError('No txids given');
+    if (!cache.maxBytes)
+      throw usageError('The chunk cache is turned off (set CHUNK_CACHE_MAX_BYTES, WORK_DIR or CHUNK_CACHE_DIR)');
+    let code = EXIT.ok;
+    for (const txid of txids) {
+      const workspace = createWorkspace();
+      let cached = 0;
+      const onEvent = (e) => {
+        if (e.type === 'chunk_fetched' && e.peer === CACHE_PEER) cached++;
+      };
+      try {
+        const irys = await checkTxIrysBundle(txid);
+        const target = irys ? irys.bundleTxId : txid;
+        const { bytes } = await fetchArweaveChunks(
+          {
+            txid: target,
+            peers: opts.peers,
+            concurrency: opts.concurrency ? parseInt(opts.concurrency, 10) : undefined,
+            workspace,
+            cache,
+          },
+          { ...hooks, onEvent }
+        );
+        const what = target === txid ? `${bytes} bytes` : `${bytes} bytes of bundle ${target}`;
+        out(
+          { txid, bundle_id: target === txid ? null : target, status: 'ok', bytes, alreadyCached: cached },
+          `${txid}: ${what} cached${cached ? ` (${cached} chunk(s) already were)` : ''}`
+        );
+      } catch (err) {
+        out({ txid, status: 'error', error: err.message }, `${txid}: error: ${err.message}`);
+        code = Math.max(code, exitCodeFor(err));
+      } finally {
+        workspace.cleanup();
+      }
+    }
+    return code;
+  },
+};
+
+function usage() {
+  const name = 'backfill';
+  console.error(`Usage: ${name} <command> [options]\n\nCommands:`);
+  for (const command of Object.values(COMMANDS)) console.error(`  ${name} ${command.usage}`);
+  console.error(
+    '\nShared options: --config FILE, --gateway URL, --irys URL, --peers p1,p2, --timeout MS, --json\n' +
+      'Txids are read from stdin when none are given. See the README for exit codes.'
+  );
+}
+
+// ------------------------------ ENTRYPOINT ----------------------------------
+// Not guarded by an import.meta.url check: npm links bins through symlinks, so
+// process.argv[1] is not this file's path
+const [name, ...rest] = process.argv.slice(2);
+const command = COMMANDS[name];
+if (!command) {
+  if (name && !['-h', '--help'].includes(name)) console.error(`Unknown command: ${name}\n`);
+  usage();
+  process.exit(name && !['-h', '--help'].includes(name) ? EXIT.usage : EXIT.ok);
+}
+
+try {
+  const { positionals, opts } = parseArgs(rest, command);
+  if (opts.help || opts.h) {
+    console.error(`Usage: backfill ${command.usage}`);
+    process.exit(EXIT.ok);
+  }
+  applySharedOptions(opts);
+  opts.peers = opts.peers ? list(opts.peers) : [];
+  try {
+    await import('./config.mjs');
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const hooks = opts.json
+    ? { logger: (...a) => console.error(...a), errorLogger: (...a) => console.error(...a) }
+    : { logger: (...a) => console.log(...a), errorLogger: (...a) => console.error(...a) };
+  const out = (result, line) => console.log(opts.json ? JSON.stringify(result) : line);
+  process.exit(await command.run({ positionals, opts }, { out, hooks }));
+} catch (err) {
+  console.error('ERROR:', err.message);
+  process.exit(exitCodeFor(err));
+}
@@ -0,0 +1,192 @@
+/*
+ * config.mjs
+ * ---------------------------------------------
+ * Endpoints and tuning values shared by the scripts and the server.
+ *
+ * Every setting has a default, can be set in a JSON config file and can be
+ * overridden by an environment variable (env wins over the file). The file is
+ * read from BACKFILL_CONFIG, or ./backfill.config.json if that exists, and
+ * uses the setting names below as keys, e.g.
+ *
+ *   { "arweaveGateway": "http://localhost:1984", "irysNode": "https://devnet.irys.xyz" }
+ *
+ * List settings take an array in the file and a comma-separated env var.
+ */
+
+import fs from 'fs';
+
+const DEFAULT_GATEWAY = 'https://arweave.net';
+const DEFAULT_IRYS_NODE = 'https://node1.irys.xyz';
+const DEFAULT_CHUNK_CACHE_BYTES = 1024 * 1024 * 1024;
+
+const string = (v) => String(v);
+const url = (v) => String(v).replace(/\/+$/, '');
+const list = (v) =>
+  Array.isArray(v)
+    ? v.map(String)
+    : String(v)
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean);
+const int = (v, name) => {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`Config ${name} must be a non-negative integer, got ${v}`);
+  return n;
+};
+const bool = (v) => v === true || v === 'true' || v === '1';
+// Express `trust proxy`: true/false, a number of proxy hops, or the proxies'
+// addresses/subnets (an array in the file, comma-separated in the env var)
+const trustProxy = (v) => {
+  if (v === true || v === 'true') return true;
+  if (v === false || v === 'false' || v === '') return false;
+  if (/^\d+$/.test(String(v))) return Number(v);
+  return list(v);
+};
+// API keys: an array of { key, name?, ...limits } in the file; JSON or a
+// comma-separated list of bare keys in the env var
+const apiKeys = (v, name) => {
+  let arr = v;
+  if (typeof v === 'string') {
+    try {
+      arr = JSON.parse(v);
+    } catch (err) {
+      arr = list(v);
+    }
+  }
+  if (!Array.isArray(arr)) throw new Error(`Config ${name} must be a list of API keys`);
+  return arr.map((k, i) => {
+    const entry = typeof k === 'string' ? { key: k } : k;
+    if (!entry || typeof entry.key !== 'string' || !entry.key) {
+      throw new Error(`Config ${name}[${i}] needs a non-empty "key"`);
+    }
+    for (const limit of ['rateLimitPerMinute', 'maxConcurrentRepairs', 'maxBundleBytes']) {
+      if (entry[limit] !== undefined) entry[limit] = int(entry[limit], `${name}[${i}].${limit}`);
+    }
+    return { name: entry.name || `key${i + 1}`, ...entry };
+  });
+};
+
+// name -> [env var, default, parser]
+const SETTINGS = {
+  // ------------------------------ ENDPOINTS ---------------------------------
+  arweaveGateway: ['ARWEAVE_GATEWAY', DEFAULT_GATEWAY, url], // tx checks, polling, tx headers
+  irysNode: ['IRYS_NODE', DEFAULT_IRYS_NODE, url], // /tx/<id>/status lookups
+  irysBundleSources: ['IRYS_BUNDLE_SOURCES', [`${DEFAULT_IRYS_NODE}/{id}`, 'https://gateway.irys.xyz/{id}'], list],
+  irysItemSources: ['IRYS_ITEM_SOURCES', [], list],
+  seedPeers: [
+    'SEED_PEERS',
+    [DEFAULT_GATEWAY, 'http://38.29.227.39:1984', 'http://38.29.227.41:1984', 'http://165.254.143.21:1984'],
+    list,
+  ],
+  uploadNodes: ['UPLOAD_NODES', [DEFAULT_GATEWAY], list],
+  verifyGateways: ['VERIFY_GATEWAYS', [DEFAULT_GATEWAY], list], // where repaired txs must be served again
+  graphqlEndpoint: ['GRAPHQL_ENDPOINT', 'https://arweave-search.goldsky.com/graphql', url], // scan.mjs listings
+
+  // ------------------------------ FETCH -------------------------------------
+  fetchTimeoutMs: ['FETCH_TIMEOUT_MS', 120000, int],
+  fetchConcurrency: ['FETCH_CONCURRENCY', 4, int],
+  fetchMaxPeers: ['FETCH_MAX_PEERS', 200, int],
+  fetchDiscover: ['FETCH_DISCOVER', true, bool],
+  fetchDeadlineMs: ['FETCH_DEADLINE_MS', 0, int], // a whole download is aborted after this long; 0: no limit
+  checkTimeoutMs: ['CHECK_TIMEOUT_MS', 10000, int],
+
+  // ------------------------------ REUPLOAD ----------------------------------
+  uploadQuorum: ['UPLOAD_QUORUM', 1, int],
+  uploadDiscoveredNodes: ['UPLOAD_DISCOVERED_NODES', 5, int],
+  uploadMaxRetries: ['UPLOAD_MAX_RETRIES', 5, int],
+  uploadRetryDelayMs: ['UPLOAD_RETRY_DELAY_MS', 750, int], // multiplied by the attempt number
+  uploadTimeoutMs: ['UPLOAD_TIMEOUT_MS', 30000, int],
+
+  // ------------------------------ SCAN --------------------------------------
+  scanConcurrency: ['SCAN_CONCURRENCY', 4, int], // checkTx calls in flight
+  scanMaxLimit: ['SCAN_MAX_LIMIT', 1000, int], // largest `limit` POST /scan accepts; 0: no cap
+
+  // ------------------------------ POLL --------------------------------------
+  // The wait between rounds starts at pollIntervalMs and doubles up to pollMaxIntervalMs
+  pollIntervalMs: ['POLL_INTERVAL_MS', 10000, int],
+  pollMaxIntervalMs: ['POLL_MAX_INTERVAL_MS', 120000, int],
+  pollMaxAttempts: ['POLL_MAX_ATTEMPTS', 20, int],
+  verifyQuorum: ['VERIFY_QUORUM', 0, int], // gateways that must serve the data; 0: all
+  verifyMode: ['VERIFY_MODE', 'item', string], // item | range, see verify.mjs
+
+  // ------------------------------ WEBHOOKS ----------------------------------
+  webhookSecret: ['WEBHOOK_SECRET', null, string], // HMAC key; callback URLs are refused without it
+  webhookMaxAttempts: ['WEBHOOK_MAX_ATTEMPTS', 6, int],
+  webhookRetryDelayMs: ['WEBHOOK_RETRY_DELAY_MS', 2000, int], // doubled after every failed attempt
+  webhookTimeoutMs: ['WEBHOOK_TIMEOUT_MS', 10000, int],
+  // Callback hosts that may resolve to private addresses (e.g. an internal receiver)
+  webhookAllowedHosts: ['WEBHOOK_ALLOWED_HOSTS', [], list],
+
+  // ------------------------------ STORAGE -----------------------------------
+  jobsDir: ['JOBS_DIR', null, string], // null: WORK_DIR/backfill-jobs
+  peerCacheFile: ['PEER_CACHE_FILE', null, string], // null: WORK_DIR/backfill-peer-cache.json
+  workDir: ['WORK_DIR', null, string], // null: the OS temp dir
+  chunkCacheDir: ['CHUNK_CACHE_DIR', null, string], // null: WORK_DIR/backfill-chunk-cache
+  // 0 turns the chunk cache off. null: 1 GiB once WORK_DIR or CHUNK_CACHE_DIR is
+  // set, otherwise off, as the OS temp dir may be a small tmpfs (Cloud Functions)
+  chunkCacheMaxBytes: ['CHUNK_CACHE_MAX_BYTES', null, int],
+  artifactStore: ['ARTIFACT_STORE', 'none', string],
+  s3Endpoint: ['S3_ENDPOINT', 'https://s3.amazonaws.com', string],
+  s3Bucket: ['S3_BUCKET', null, string],
+  s3Region: ['S3_REGION', 'us-east-1', string],
+  s3Prefix: ['S3_PREFIX', '', string],
+  s3AccessKeyId: ['S3_ACCESS_KEY_ID', null, string],
+  s3SecretAccessKey: ['S3_SECRET_ACCESS_KEY', null, string],
+  s3SessionToken: ['S3_SESSION_TOKEN', null, string],
+
+  // ------------------------------ SERVER ------------------------------------
+  port: ['PORT', 3000, int],
+  // Set when behind a load balancer or proxy (Cloud Run/Functions: 1), so the
+  // per-IP limits of an open API see the client's address, not the proxy's
+  trustProxy: ['TRUST_PROXY', false, trustProxy],
+  // With no keys the API is open. Limits are per key (or per client IP when
+  // open); a key's own limits override these defaults. 0 means unlimited.
+  apiKeys: ['API_KEYS', [], apiKeys],
+  rateLimitPerMinute: ['RATE_LIMIT_PER_MINUTE', 0, int],
+  maxConcurrentRepairs: ['MAX_CONCURRENT_REPAIRS', 0, int],
+  maxBundleBytes: ['MAX_BUNDLE_BYTES', 0, int],
+  repairDeadlineMs: ['REPAIR_DEADLINE_MS', 0, int], // a fix or batch is cancelled after this long; 0: no limit
+  statusSampleChunks: ['STATUS_SAMPLE_CHUNKS', 32, int], // chunks GET /status probes per bundle; 0: all
+};
+
+function readConfigFile(file, required) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return {};
+    throw new Error(`Could not read config file ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Build the configuration from defaults, the config file and `env`.
+ * Throws on unknown keys in the file and on malformed values.
+ */
+export function loadConfig({ env = process.env, file = env.BACKFILL_CONFIG } = {}) {
+  const fromFile = readConfigFile(file || 'backfill.config.json', !!file);
+  const unknown = Object.keys(fromFile).filter((k) => !(k in SETTINGS));
+  if (unknown.length) throw new Error(`Unknown config setting(s): ${unknown.join(', ')}`);
+
+  const config = {};
+  for (const [name, [envVar, def, parse]] of Object.entries(SETTINGS)) {
+    let value = def;
+    if (fromFile[name] !== undefined && fromFile[name] !== null) value = parse(fromFile[name], name);
+    if (env[envVar] !== undefined && env[envVar] !== '') value = parse(env[envVar], name);
+    config[name] = value;
+  }
+  // Moving the gateway or Irys node also moves the defaults that point at them
+  const isSet = (name) => fromFile[name] !== undefined || !!env[SETTINGS[name][0]];
+  const swap = (name, from, to) => {
+    if (!isSet(name)) config[name] = config[name].map((p) => p.replace(from, to));
+  };
+  swap('uploadNodes', DEFAULT_GATEWAY, config.arweaveGateway);
+  swap('seedPeers', DEFAULT_GATEWAY, config.arweaveGateway);
+  swap('verifyGateways', DEFAULT_GATEWAY, config.arweaveGateway);
+  swap('irysBundleSources', DEFAULT_IRYS_NODE, config.irysNode);
+  if (config.chunkCacheMaxBytes === null) {
+    config.chunkCacheMaxBytes = config.workDir || config.chunkCacheDir ? DEFAULT_CHUNK_CACHE_BYTES : 0;
+  }
+  return Object.freeze(config);
+}
+
+export const config = loadConfig();
@@ -0,0 +1,105 @@
+/*
+ * coverage.mjs
+ * ---------------------------------------------
+ * Work out which chunks of a transaction the network still serves.
+ *
+ * Every chunk's absolute offset is probed with the same GET /chunk/<pos> API
+ * the fetcher uses (and verified against the data_root), against the best few
+ * peers only. A chunk counts as present if any of them returns it intact.
+ */
+
+import { fetchTxOffset, fetchChunk } from './fetch-arweave-chunks.mjs';
+import { sharedPeerRegistry } from './peer-registry.mjs';
+import { throwIfAborted } from './cancel.mjs';
+import { config } from './config.mjs';
+
+const DEFAULT_PROBE_PEERS = 5;
+const DEFAULT_PROBE_CONCURRENCY = 4;
+
+// "0-4, 9, 12-13" from a sorted list of indices
+export function formatRanges(indices) {
+  const parts = [];
+  for (let i = 0; i < indices.length; i++) {
+    const start = indices[i];
+    while (i + 1 < indices.length && indices[i + 1] === indices[i] + 1) i++;
+    parts.push(start === indices[i] ? `${start}` : `${start}-${indices[i]}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Probe the network for each chunk of `txid`.
+ *
+ * opts: { txid, size, dataRoot, chunks: [{ minByteRange, maxByteRange }], peers?, registry?,
+ *         probePeers?, concurrency?, timeout? (per request, default CHECK_TIMEOUT_MS), signal? }
+ * Resolves to { txid, totalChunks, present: [indices], missing: [indices], located }
+ * where `located` is false when the tx's offset could not be found (then every
+ * chunk is reported missing). Rejects if `signal` aborts.
+ */
+export async function probeCoverage(opts, { logger = console.log, errorLogger = console.error } = {}) {
+  const {
+    txid,
+    size,
+    dataRoot,
+    chunks,
+    timeout = config.checkTimeoutMs,
+    probePeers = DEFAULT_PROBE_PEERS,
+    concurrency = DEFAULT_PROBE_CONCURRENCY,
+    signal,
+  } = opts;
+  const registry = opts.registry || sharedPeerRegistry();
+  const peers = registry.rank([...registry.add([config.arweaveGateway, ...(opts.peers || [])]), ...registry.list()]);
+  const probeList = peers.slice(0, probePeers);
+  const all = chunks.map((_, i) => i);
+
+  let startOffset;
+  try {
+    const { offset } = await fetchTxOffset(txid, peers, timeout, false, () => {}, registry, signal);
+    startOffset = offset - BigInt(size) + 1n;
+  } catch (err) {
+    throwIfAborted(signal);
+    logger(`Tx ${txid} has no known offset yet; treating all ${chunks.length} chunk(s) as missing.`);
+    return { txid, totalChunks: chunks.length, present: [], missing: all, located: false };
+  }
+
+  logger(`Probing ${chunks.length} chunk(s) of ${txid} against ${probeList.length} peer(s)...`);
+  const verify = { dataRoot, startOffset, size: BigInt(size) };
+  const present = new Set();
+  let next = 0;
+  let probed = 0;
+  async function worker() {
+    while (next < chunks.length && !(signal && signal.aborted)) {
+      const i = next++;
+      try {
+        await fetchChunk(probeList, startOffset + BigInt(chunks[i].minByteRange), timeout, false, () => {}, {
+          verify,
+          registry,
+          signal,
+        });
+        present.add(i);
+      } catch (err) {
+        // missing everywhere we looked
+      }
+      probed++;
+      if (probed % 50 === 0) logger(`Probed ${probed}/${chunks.length} chunk(s)...`);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+  registry.save({ errorLogger });
+  throwIfAborted(signal);
+
+  return {
+    txid,
+    totalChunks: chunks.length,
+    present: all.filter((i) => present.has(i)),
+    missing: all.filter((i) => !present.has(i)),
+    located: true,
+  };
+}
+
+export function formatCoverageReport({ txid, totalChunks, present, missing }) {
+  const pct = totalChunks ? ((present.length / totalChunks) * 100).toFixed(1) : '100.0';
+  const lines = [`Coverage for ${txid}: ${present.length}/${totalChunks} chunk(s) present (${pct}%)`];
+  if (missing.length) lines.push(`Missing chunk(s): ${formatRanges(missing)}`);
+  return lines.join('\n');
+}
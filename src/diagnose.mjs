@@ -0,0 +1,192 @@
+/*
+ * diagnose.mjs
+ * ---------------------------------------------
+ * Work out why a tx is not available on Arweave, without changing anything.
+ *
+ * checkTx() only says arweave / irys / none. This runs the probes behind that
+ * answer one by one and stops at the first thing that explains the outage:
+ *
+ *   available              the gateway serves the tx                    -> none
+ *   irys_unreachable       Irys did not answer with the tx or a 404     -> retry
+ *   not_found              neither the gateway nor Irys knows the tx    -> investigate
+ *   irys_pending           Irys has it but has not finalized a bundle   -> wait
+ *   bundle_header_missing  the bundle tx header is not on the gateway   -> wait
+ *   chunks_missing         no chunk of the bundle is served             -> fix (from Irys)
+ *   chunks_partial         some chunks of the bundle are not served     -> fix
+ *   not_indexed            every chunk is served, the gateway has not
+ *                          indexed the data item yet                    -> wait
+ *
+ * With `sampleChunks` only that many chunks, spread evenly over the bundle,
+ * are probed instead of all of them (the HTTP service does this, see
+ * STATUS_SAMPLE_CHUNKS), so a large bundle costs a bounded number of requests;
+ * `chunks_partial` and `not_indexed` then describe the sample.
+ *
+ * Usage:
+ *   node diagnose.mjs <txid>
+ */
+
+import path from 'path';
+import axios from 'axios';
+import { fetchTxMeta } from './fetch-irys.mjs';
+import { planChunks } from './chunk-layout.mjs';
+import { probeCoverage, formatRanges } from './coverage.mjs';
+import { throwIfAborted } from './cancel.mjs';
+import { config } from './config.mjs';
+
+const ACTIONS = {
+  available: ['none', 'Nothing to do: the gateway serves the tx.'],
+  irys_unreachable: ['retry', 'The Irys node could not be reached; run the diagnosis again later.'],
+  not_found: ['investigate', 'Neither the gateway nor Irys knows this tx; check the id and where it was uploaded.'],
+  irys_pending: ['wait', 'Irys has not finalized a bundle for the tx yet; wait for it to be bundled and posted.'],
+  bundle_header_missing: [
+    'wait',
+    'The bundle tx header is not on the gateway; it may not be mined yet. Wait, and raise it with Irys if it stays missing.',
+  ],
+  chunks_missing: ['fix', 'No peer serves the bundle data; run fix to fetch it from Irys and reupload every chunk.'],
+  chunks_partial: ['fix', 'Some chunks of the bundle are missing; run fix to reupload them.'],
+  not_indexed: [
+    'wait',
+    'Every chunk of the bundle is served but the gateway does not serve the tx yet; wait for it to index the bundle.',
+  ],
+};
+
+async function probeGateway(txid, timeout, signal) {
+  try {
+    const resp = await axios.head(`${config.arweaveGateway}/${txid}`, {
+      maxRedirects: 5,
+      timeout,
+      validateStatus: () => true,
+      signal,
+    });
+    const contentLength = parseInt(resp.headers['content-length'] || '0', 10);
+    return { status: resp.status, available: resp.status >= 200 && resp.status < 300 && contentLength > 0 };
+  } catch (err) {
+    throwIfAborted(signal);
+    return { status: null, available: false, error: err.message };
+  }
+}
+
+// Unlike checkTxIrysBundle, keeps "unreachable", "unknown" and "not finalized" apart
+async function probeIrys(txid, timeout, signal) {
+  try {
+    const resp = await axios.get(`${config.irysNode}/tx/${txid}/status`, {
+      timeout,
+      validateStatus: () => true,
+      signal,
+    });
+    // Only a 404 says the tx is unknown; a 429, 401/403 or 5xx says nothing about it
+    if (resp.status === 404) return { reachable: true, found: false, status: null, httpStatus: 404 };
+    if (resp.status !== 200) {
+      return { reachable: false, found: false, httpStatus: resp.status, error: `HTTP ${resp.status}` };
+    }
+    const data = resp.data || {};
+    return {
+      reachable: true,
+      found: true,
+      status: data.status || null,
+      bundle_id: data.bundleTxId || null,
+      seeds: Array.isArray(data.seededTo) ? data.seededTo : [],
+    };
+  } catch (err) {
+    throwIfAborted(signal);
+    return { reachable: false, found: false, error: err.message };
+  }
+}
+
+// Indices of `count` chunks out of `total`, evenly spread and always including the first and last
+function sampleIndices(total, count) {
+  if (!count || count >= total) return [...Array(total).keys()];
+  if (count === 1) return [0];
+  return [...new Set(Array.from({ length: count }, (_, i) => Math.round((i * (total - 1)) / (count - 1))))];
+}
+
+/**
+ * Diagnose `txid`. Resolves to
+ *   { txid, diagnosis, action, detail, gateway, irys, bundle, chunks }
+ * where `diagnosis` is one of the codes above, `action` what to do about it
+ * (none | retry | investigate | wait | fix) and the other fields hold what each
+ * probe found (null when it was not reached). Chunks are probed on the
+ * gateway, the seeds Irys reports and `peers`; all of them, or `sampleChunks`
+ * of them (0: all). Rejects if `signal` aborts.
+ */
+export async function diagnoseTx(
+  txid,
+  { timeout = config.checkTimeoutMs, peers = [], sampleChunks = 0, logger = console.log, signal } = {}
+) {
+  const report = {
+    txid,
+    diagnosis: null,
+    action: null,
+    detail: null,
+    gateway: null,
+    irys: null,
+    bundle: null,
+    chunks: null,
+  };
+  const conclude = (diagnosis) => {
+    [report.action, report.detail] = ACTIONS[diagnosis];
+    report.diagnosis = diagnosis;
+    logger(`${txid}: ${diagnosis} -> ${report.action}. ${report.detail}`);
+    return report;
+  };
+
+  logger(`Checking ${config.arweaveGateway} for ${txid}...`);
+  report.gateway = await probeGateway(txid, timeout, signal);
+  if (report.gateway.available) return conclude('available');
+
+  logger(`Checking Irys (${config.irysNode}) for ${txid}...`);
+  const { seeds, ...irys } = await probeIrys(txid, timeout, signal);
+  report.irys = irys;
+  if (!irys.reachable) return conclude('irys_unreachable');
+  if (!irys.found) return conclude('not_found');
+  if (irys.status !== 'FINALIZED' || !irys.bundle_id) return conclude('irys_pending');
+
+  const bundleId = irys.bundle_id;
+  logger(`Checking the header of bundle ${bundleId}...`);
+  let meta;
+  try {
+    meta = await fetchTxMeta(bundleId, [config.arweaveGateway], timeout, signal);
+  } catch (err) {
+    throwIfAborted(signal);
+    report.bundle = { id: bundleId, header: false };
+    return conclude('bundle_header_missing');
+  }
+  report.bundle = { id: bundleId, header: true, size: meta.size, data_root: meta.dataRoot };
+
+  const planned = planChunks(meta.size);
+  const sample = sampleIndices(planned.length, sampleChunks);
+  const chunks = sample.map((i) => ({ minByteRange: planned[i].start, maxByteRange: planned[i].end }));
+  const coverage = await probeCoverage(
+    { txid: bundleId, size: meta.size, dataRoot: meta.dataRoot, chunks, peers: [...seeds, ...peers], timeout, signal },
+    { logger }
+  );
+  // Coverage indices are positions in the sample; report chunk indices
+  const missing = coverage.missing.map((i) => sample[i]);
+  report.chunks = {
+    total: planned.length,
+    probed: sample.length,
+    present: coverage.present.length,
+    missing: missing.length,
+    missingRanges: formatRanges(missing),
+    located: coverage.located,
+  };
+  if (!coverage.present.length) return conclude('chunks_missing');
+  if (coverage.missing.length) return conclude('chunks_partial');
+  return conclude('not_indexed');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  if (!args.length || args.includes('-h') || args.includes('--help')) {
+    console.error(`Usage: node ${path.basename(process.argv[1])} <txid>`);
+    process.exit(1);
+  }
+  try {
+    // progress goes to stderr so stdout is just the JSON report
+    const report = await diagnoseTx(args[0], { logger: console.error });
+    console.log(JSON.stringify(report, null, 2));
+  } catch (err) {
+    console.error('ERROR:', err.message);
+    process.exit(1);
+  }
+}
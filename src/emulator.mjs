@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/*
+ * emulator.mjs
+ * ---------------------------------------------
+ * A local stand-in for the Arweave and Irys endpoints this tool talks to, so
+ * fixArweaveTx() and the scripts can run end to end without the network.
+ *
+ * A network holds fixture bundles laid out one after another in a fake weave;
+ * each chunk is either stored or missing. Any number of nodes serve the same
+ * network:
+ *
+ *   GET  /<id>               data item payload once every chunk under it is
+ *                            stored; bundle data with Range support
+ *   GET  /tx/<id>            bundle tx header (data_root, data_size)
+ *   GET  /tx/<id>/offset     { offset, size } in the weave
+ *   GET  /tx/<id>/data_root
+ *   GET  /chunk/<offset>     { chunk, data_path, offset }
+ *   POST /chunk              verified against the data_root, then stored
+ *   GET  /peers              the other nodes of the network
+ *   GET  /irys/tx/<id>/status
+ *   GET  /irys/<id>          the full bundle, or a raw data item
+ *
+ * so a node's URL works as ARWEAVE_GATEWAY (and seed, upload or verify peer)
+ * and `<url>/irys` as IRYS_NODE. Faults are set per node and can be changed
+ * while it runs:
+ *
+ *   latencyMs      delay every response (a slow peer)
+ *   failures       [{ method?, path, status }]: answer matching requests
+ *                  (`path` is a string prefix or a RegExp) with `status`
+ *   withheld       { [bundleId]: [chunk indices] | 'all' }: chunks this node
+ *                  answers 404 for although the network has them, until they
+ *                  are posted to it
+ *   corrupt        { [bundleId]: [chunk indices] | 'all' }: chunks served
+ *                  with flipped bytes
+ *
+ * Usage:
+ *   node emulator.mjs [--port N] [--missing all|i,j,...] <file>...
+ *
+ * serves the files as the data items of one bundle, with the given chunks
+ * missing, and prints the ids and the settings to point the tool at it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import express from 'express';
+import { generateTransactionChunks } from 'arweave/node/lib/merkle.js';
+import * as ArweaveUtils from 'arweave/node/lib/utils.js';
+import { createDataItem, createBundle } from './ans104.mjs';
+import { verifyChunk } from './chunk-layout.mjs';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Bundles are placed this far apart in the weave, so offsets are never shared
+const WEAVE_GAP = 1000;
+
+const randomId = () => ArweaveUtils.bufferTob64Url(crypto.randomBytes(32));
+
+const listed = (spec, index) => spec === 'all' || (Array.isArray(spec) && spec.includes(index));
+
+// ------------------------------ NETWORK -------------------------------------
+/**
+ * Create an empty network. Bundles added to it are served by every node
+ * started on it (see startNode).
+ */
+export function createNetwork({ weaveOffset = 1000000 } = {}) {
+  const bundles = new Map(); // bundleId -> bundle
+  const items = new Map(); // data item id -> { bundle, item }
+  const nodes = [];
+  let nextOffset = weaveOffset;
+
+  /**
+   * Add a bundle of data items, each { data, tags?, irysStatus? } (irysStatus
+   * defaults to FINALIZED). `missing` lists the chunk indices the network does
+   * not store ('all' for none of them); `header: false` leaves the bundle tx
+   * unknown to nodes; `seededTo` is what Irys reports as seeded peers.
+   * Resolves to { id, size, dataRoot, chunks, items: [{ id, data }] }.
+   */
+  async function addBundle({ items: specs, missing = [], header = true, seededTo = [] }) {
+    const built = specs.map((spec) => ({ spec, item: createDataItem(spec) }));
+    const data = createBundle(built.map((b) => b.item));
+    const { data_root, chunks, proofs } = await generateTransactionChunks(data);
+    const bundle = {
+      id: randomId(),
+      data,
+      size: data.length,
+      dataRoot: ArweaveUtils.bufferTob64Url(data_root),
+      startOffset: nextOffset,
+      header,
+      seededTo,
+      chunks: chunks.map((c, i) => ({
+        index: i,
+        start: c.minByteRange,
+        end: c.maxByteRange,
+        dataPath: ArweaveUtils.bufferTob64Url(proofs[i].proof),
+      })),
+      stored: new Set(),
+      items: [],
+    };
+    for (const c of bundle.chunks) if (!listed(missing, c.index)) bundle.stored.add(c.index);
+    nextOffset += data.length + WEAVE_GAP;
+
+    let offset = 32 + built.length * 64;
+    for (const { spec, item } of built) {
+      const entry = {
+        id: item.id,
+        offset,
+        size: item.raw.length,
+        dataOffset: offset + item.dataOffset,
+        dataSize: item.dataSize,
+        irysStatus: spec.irysStatus || 'FINALIZED',
+      };
+      bundle.items.push(entry);
+      items.set(item.id, { bundle, item: entry });
+      offset += item.raw.length;
+    }
+    bundles.set(bundle.id, bundle);
+    return {
+      id: bundle.id,
+      size: bundle.size,
+      dataRoot: bundle.dataRoot,
+      chunks: bundle.chunks.length,
+      items: bundle.items.map((it) => ({ id: it.id, data: data.subarray(it.dataOffset, it.dataOffset + it.dataSize) })),
+    };
+  }
+
+  // The bundle and chunk holding absolute weave offset `pos`, or null
+  function chunkAt(pos) {
+    for (const bundle of bundles.values()) {
+      const rel = pos - bundle.startOffset;
+      if (rel < 0 || rel >= bundle.size) continue;
+      const chunk = bundle.chunks.find((c) => rel >= c.start && rel < c.end);
+      return chunk ? { bundle, chunk } : null;
+    }
+    return null;
+  }
+
+  // Indices of the stored chunks of `bundleId`, for assertions
+  const storedChunks = (bundleId) => [...bundles.get(bundleId).stored].sort((a, b) => a - b);
+
+  return { bundles, items, nodes, addBundle, chunkAt, storedChunks };
+}
+
+// ------------------------------ NODE ----------------------------------------
+function matchesFailure(req, { method, path: p }) {
+  if (method && method.toUpperCase() !== req.method) return false;
+  return p instanceof RegExp ? p.test(req.path) : req.path.startsWith(p);
+}
+
+// Byte range of a "bytes=a-b" header within `size` bytes, or null when unsatisfiable
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header);
+  if (!m || (!m[1] && !m[2])) return null;
+  let start = m[1] ? Number(m[1]) : size - Number(m[2]);
+  let end = m[1] && m[2] ? Number(m[2]) : size - 1;
+  start = Math.max(start, 0);
+  end = Math.min(end, size - 1);
+  return start <= end ? { start, end } : null;
+}
+
+/**
+ * Start a node serving `network` on `port` (0: any free port). Resolves to
+ * { url, faults, setFaults(faults), close() }; `faults` (see above) is read on
+ * every request, so tests can change it in place.
+ */
+export async function startNode(network, { port = 0, host = '127.0.0.1', faults = {} } = {}) {
+  const node = { url: null, faults: { ...faults } };
+  const withheld = (bundle, index) => listed((node.faults.withheld || {})[bundle.id], index);
+  const serves = (bundle, index) => bundle.stored.has(index) && !withheld(bundle, index);
+  // Whether this node can assemble bytes [start, end) of the bundle
+  const servesRange = (bundle, start, end) =>
+    bundle.chunks.every((c) => c.end <= start || c.start >= end || serves(bundle, c.index));
+
+  const app = express();
+  app.use(async (req, res, next) => {
+    if (node.faults.latencyMs) await sleep(node.faults.latencyMs);
+    const failure = (node.faults.failures || []).find((f) => matchesFailure(req, f));
+    if (failure) return res.status(failure.status).send(`Injected failure (HTTP ${failure.status})`);
+    next();
+  });
+  app.use(express.json({ limit: '10mb' }));
+
+  // ---- Arweave ----
+  const bundleHeader = (req, res, next) => {
+    const bundle = network.bundles.get(req.params.id);
+    if (!bundle || !bundle.header) return res.status(404).send('Not Found.');
+    req.bundle = bundle;
+    next();
+  };
+  app.get('/tx/:id/offset', bundleHeader, (req, res) => {
+    const { startOffset, size } = req.bundle;
+    res.json({ offset: String(startOffset + size - 1), size: String(size) });
+  });
+  app.get('/tx/:id/data_root', bundleHeader, (req, res) => res.type('text').send(req.bundle.dataRoot));
+  app.get('/tx/:id', bundleHeader, (req, res) => {
+    res.json({ id: req.bundle.id, data_root: req.bundle.dataRoot, data_size: String(req.bundle.size) });
+  });
+
+  app.get('/chunk/:offset', (req, res) => {
+    const found = network.chunkAt(Number(req.params.offset));
+    if (!found || !serves(found.bundle, found.chunk.index)) return res.status(404).json({ error: 'not_found' });
+    const { bundle, chunk } = found;
+    const bytes = Buffer.from(bundle.data.subarray(chunk.start, chunk.end));
+    if (listed((node.faults.corrupt || {})[bundle.id], chunk.index)) {
+      for (let i = 0; i < bytes.length; i += 1024) bytes[i] ^= 0xff;
+    }
+    res.json({
+      chunk: ArweaveUtils.bufferTob64Url(bytes),
+      data_path: chunk.dataPath,
+      offset: String(bundle.startOffset + chunk.end - 1),
+    });
+  });
+
+  app.post('/chunk', async (req, res) => {
+    const { data_root, data_size, data_path, offset, chunk } = req.body || {};
+    const bundle = [...network.bundles.values()].find((b) => b.dataRoot === data_root);
+    if (!bundle || Number(data_size) !== bundle.size) return res.status(400).json({ error: 'data_root_not_found' });
+    let proven;
+    try {
+      proven = await verifyChunk({
+        dataRoot: data_root,
+        size: bundle.size,
+        relPos: Number(offset),
+        chunk: ArweaveUtils.b64UrlToBuffer(chunk || ''),
+        dataPath: data_path,
+      });
+    } catch (err) {
+      return res.status(400).json({ error: 'invalid_proof' });
+    }
+    const { index } = bundle.chunks.find((c) => c.start === proven.start);
+    bundle.stored.add(index);
+    const held = (node.faults.withheld || {})[bundle.id];
+    if (held) {
+      const rest = (held === 'all' ? bundle.chunks.map((c) => c.index) : held).filter((i) => i !== index);
+      node.faults.withheld = { ...node.faults.withheld, [bundle.id]: rest };
+    }
+    res.json({});
+  });
+
+  app.get('/peers', (req, res) => {
+    res.json(network.nodes.filter((u) => u !== node.url).map((u) => new URL(u).host));
+  });
+
+  // ---- Irys ----
+  app.get('/irys/tx/:id/status', (req, res) => {
+    const found = network.items.get(req.params.id);
+    if (!found) return res.status(404).send('Not found');
+    const { bundle, item } = found;
+    const finalized = item.irysStatus === 'FINALIZED';
+    res.json({
+      id: item.id,
+      status: item.irysStatus,
+      bundleTxId: finalized ? bundle.id : undefined,
+      seededTo: finalized ? bundle.seededTo : [],
+    });
+  });
+  app.get('/irys/:id', (req, res) => {
+    const bundle = network.bundles.get(req.params.id);
+    if (bundle) return res.type('application/octet-stream').send(bundle.data);
+    const found = network.items.get(req.params.id);
+    if (!found) return res.status(404).send('Not found');
+    const { bundle: b, item } = found;
+    res.type('application/octet-stream').send(b.data.subarray(item.offset, item.offset + item.size));
+  });
+
+  // ---- Gateway data ----
+  app.get('/:id', (req, res) => {
+    const found = network.items.get(req.params.id);
+    if (found) {
+      const { bundle, item } = found;
+      if (!servesRange(bundle, item.offset, item.offset + item.size)) return res.status(404).send('Not Found.');
+      return res
+        .type('application/octet-stream')
+        .send(bundle.data.subarray(item.dataOffset, item.dataOffset + item.dataSize));
+    }
+    const bundle = network.bundles.get(req.params.id);
+    if (!bundle || !bundle.header) return res.status(404).send('Not Found.');
+    let range = { start: 0, end: bundle.size - 1 };
+    if (req.headers.range) {
+      range = parseRange(req.headers.range, bundle.size);
+      if (!range) return res.status(416).set('Content-Range', `bytes */${bundle.size}`).end();
+    }
+    if (!servesRange(bundle, range.start, range.end + 1)) return res.status(404).send('Not Found.');
+    if (req.headers.range) res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${bundle.size}`);
+    res.type('application/octet-stream').send(bundle.data.subarray(range.start, range.end + 1));
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    const s = app.listen(port, host, () => resolve(s));
+    s.on('error', reject);
+  });
+  node.url = `http://${host}:${server.address().port}`;
+  network.nodes.push(node.url);
+
+  return {
+    url: node.url,
+    get faults() {
+      return node.faults;
+    },
+    setFaults(next) {
+      node.faults = { ...next };
+    },
+    close() {
+      network.nodes.splice(network.nodes.indexOf(node.url), 1);
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  if (!args.length || args.includes('-h') || args.includes('--help')) {
+    console.error(`Usage: node ${path.basename(process.argv[1])} [--port N] [--missing all|i,j,...] <file>...`);
+    process.exit(1);
+  }
+  let port = 1984;
+  let missing = [];
+  const files = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') port = Number(args[++i]);
+    else if (args[i] === '--missing') {
+      const value = args[++i];
+      missing = value === 'all' ? 'all' : value.split(',').map(Number);
+    } else files.push(args[i]);
+  }
+  try {
+    const network = createNetwork();
+    const bundle = await network.addBundle({
+      items: files.map((f) => ({ data: fs.readFileSync(f), tags: [{ name: 'File-Name', value: path.basename(f) }] })),
+      missing,
+    });
+    const node = await startNode(network, { port });
+    console.log(`Emulator listening on ${node.url}`);
+    console.log(`Bundle ${bundle.id}: ${bundle.size} bytes, ${bundle.chunks} chunk(s), missing: ${missing}`);
+    files.forEach((f, i) => console.log(`  ${bundle.items[i].id}  ${f}`));
+    console.log(`\nPoint the tool at it with:`);
+    console.log(`  ARWEAVE_GATEWAY=${node.url} IRYS_NODE=${node.url}/irys SEED_PEERS=${node.url} FETCH_DISCOVER=false`);
+  } catch (err) {
+    console.error('ERROR:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,54 @@
+/*
+ * events.mjs
+ * ---------------------------------------------
+ * Typed progress events.
+ *
+ * Besides `logger`, the check, fetch, reupload and poll steps take an
+ * `onEvent(event)` hook and report what they do as plain objects with a
+ * `type`:
+ *
+ *   { type: 'log', level: 'info' | 'error', message }
+ *   { type: 'stage', stage: 'list' | 'check' | 'fetch' | 'reupload' | 'poll' }
+ *   { type: 'progress', done, total, unit }
+ *   { type: 'check', txid, source: 'arweave' | 'irys' | 'none', bundle_id }
+ *   { type: 'chunk_fetched', txid, offset, bytes, peer, done, total }
+ *   { type: 'chunk_uploaded', txid, index, bytes, accepted, done, total }
+ *   { type: 'retry', op: 'upload', txid, index, attempt, delayMs, error }
+ *   { type: 'peer_failure', op: 'fetch' | 'upload', peer, status, error, badChunk }
+ *   { type: 'poll', txid, attempt, available, gateways: [{ gateway, ok, status, size, error }] }
+ *   { type: 'result', result }
+ *   { type: 'error', message, cancelled? }   (cancelled: true when the repair was cancelled)
+ *
+ * Byte counts and offsets are plain numbers; a chunk's `offset` is its byte
+ * position within the tx data and `index` its chunk number. eventHooks()
+ * turns a single event callback into the full set of hooks the repair
+ * functions expect.
+ */
+
+/**
+ * Build `{ logger, errorLogger, onStage, onProgress, onEvent }` hooks that
+ * report everything as events to `emit`; every event gets a `time`. Log lines
+ * are still passed on to the given `logger` / `errorLogger`, if any.
+ */
+export function eventHooks(emit, { logger = () => {}, errorLogger = () => {} } = {}) {
+  const onEvent = (event) => emit({ time: new Date().toISOString(), ...event });
+  return {
+    logger: (...args) => {
+      logger(...args);
+      onEvent({ type: 'log', level: 'info', message: args.join(' ') });
+    },
+    errorLogger: (...args) => {
+      errorLogger(...args);
+      onEvent({ type: 'log', level: 'error', message: args.join(' ') });
+    },
+    onStage: (stage) => onEvent({ type: 'stage', stage }),
+    onProgress: (progress) => onEvent({ type: 'progress', ...progress }),
+    onEvent,
+  };
+}
+
+// One Server-Sent Events message, named after the event type
+export const formatSSE = (event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+// One line of newline-delimited JSON
+export const formatNDJSON = (event) => `${JSON.stringify(event)}\n`;
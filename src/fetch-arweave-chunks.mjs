@@ -7,7 +7,8 @@
  * the declared transaction size is satisfied.
  *
  * Usage:
- *   node fetch-arweave-chunks.mjs <txid> [outfile] [--peers peer1,peer2,...] [--maxPeers N] [--timeout MS] [--verbose]
+ *   node fetch-arweave-chunks.mjs <txid> [outfile] [--peers peer1,peer2,...] [--maxPeers N] [--timeout MS]
+ *                                 [--concurrency N] [--discover] [--verbose]
  *
  * Example:
  *   node fetch-arweave-chunks.mjs SIaSQkaJSucywz5Jv5dHQky78Hhur-OEMHn7Jld2ABo bundle.bin --verbose
@@ -16,17 +17,44 @@
  *   1. Query a gateway (/tx/<id>/offset) to obtain { offset, size }.
  *   2. Compute the absolute starting byte for the transaction data as:
  *        start = BigInt(offset) - BigInt(size) + 1n
- *   3. Build an ordered, de-duplicated peer list from:
+ *   3. Build a de-duplicated peer list from:
  *        - any peers passed on the command line
- *        - a small built-in seed list (arweave.net + a few IPs)
- *        - peers discovered recursively from /peers calls on each reachable peer
+ *        - the configured seed list (SEED_PEERS, default arweave.net + a few IPs; see config.mjs)
+ *        - peers remembered in the peer cache (PEER_CACHE_FILE) from earlier runs
+ *        - with --discover, peers found by crawling /peers (up to --maxPeers)
+ *      Peers are tried best-first by their recorded latency and success rate,
+ *      and peers that keep failing are skipped for a while (see peer-registry.mjs).
  *   4. Iteratively download chunks using GET /chunk/<absoluteOffset>:
  *        - Always request the next unread absolute byte position.
  *        - Because /chunk/<pos> returns the *chunk containing that byte*,
  *          we may receive bytes preceding <pos>; we slice to keep only the new data.
- *        - Use the `offset` field in the response to infer the chunk's end position.
- *   5. Concatenate chunk bytes until `size` bytes are accumulated.
- *   6. Write the complete binary to the specified outfile (default: <txid>.bin).
+ *        - Verify every chunk against the tx's data_root (fetched from /tx/<id>/data_root):
+ *          its data_path must prove the requested byte and the bytes must hash to the
+ *          proven leaf. The proof, not the peer's `offset`, gives the chunk's position.
+ *        - A chunk that fails verification is re-requested from the next peer; the
+ *          offending peer is recorded and skipped after a few bad chunks.
+ *   5. Append chunk bytes to <outfile>.partial until `size` bytes are accumulated,
+ *      recording progress in <outfile>.checkpoint.json after every chunk.
+ *   6. Rename the partial file to the specified outfile (default: <txid>.bin, in
+ *      the given workspace if any; see artifacts.mjs).
+ *
+ * Concurrency:
+ *   With --concurrency N (N > 1) the chunk boundaries are computed up front from
+ *   the tx size (same layout arweave-js uses) and N chunks are downloaded at once,
+ *   each starting from a different peer so load spreads across the peer list;
+ *   a failed chunk is retried against the next peer. Every chunk is written to
+ *   its own position in the partial file, so the result is byte-for-byte what
+ *   the sequential path produces.
+ *
+ * Resuming:
+ *   If a run fails part way, the partial file and checkpoint are left behind.
+ *   Running again for the same txid and outfile continues from the checkpoint's
+ *   next absolute offset (as long as size, offset and data_root still match).
+ *
+ * Artifact store:
+ *   When called with a persistent artifact store (see artifacts.mjs), a copy of
+ *   the tx's data already in the store is used if it matches the data_root, and
+ *   a successful download is saved to the store for the next run.
  *
  * Notes:
  *   • Chunks are <= 256 KiB but may be smaller, especially first/last chunks.
@@ -35,8 +63,23 @@
  *   • The gateway may respond 404 if it does not have the requested chunk; we'll fall back to other peers.
  *   • Some peers speak plain HTTP on port 1984; others front HTTPS (e.g., arweave.net).
  *
+ * Chunk cache:
+ *   Verified chunks are kept in the local chunk cache (see chunk-cache.mjs) and
+ *   taken from there before any peer is asked, so fetching the same tx again
+ *   only downloads what is not cached. Pass `opts.cache` (null for none) to use
+ *   another cache than the configured one.
+ *
+ * Timeouts and cancellation:
+ *   The offset lookup, and the fetch of each chunk over all peers, give up
+ *   after twice the timeout. The whole download only has a deadline when
+ *   `opts.deadline` (default FETCH_DEADLINE_MS, 0: none) is set, so a large tx
+ *   that keeps making progress is not cut off. Pass `opts.signal` (an
+ *   AbortSignal) to cancel a fetch; either way the requests in flight are
+ *   aborted and the partial file and checkpoint are kept (see cancel.mjs).
+ *
  * Exit codes:
- *   0 success, 1 usage, 2 network failure, 3 incomplete (bytes short), 4 other error.
+ *   0 success, 1 usage, 2 network failure (no peer served the offset, data_root
+ *   or a chunk), 3 incomplete (bytes short), 4 other error.
  */
 
 /* eslint-disable no-console */
@@ -44,6 +87,13 @@ import fs from 'fs';
 import path from 'path';
 import axios from 'axios';
 import { URL } from 'url';
+import { planChunks, verifyChunk } from './chunk-layout.mjs';
+import { sharedPeerRegistry } from './peer-registry.mjs';
+import { createNoArtifactStore, restoreArtifact, saveArtifact } from './artifacts.mjs';
+import { abortError, deadlineSignal } from './cancel.mjs';
+import { CACHE_PEER, sharedChunkCache } from './chunk-cache.mjs';
+import { metrics } from './metrics.mjs';
+import { config } from './config.mjs';
 
 // ------------------------------ CLI ARGS ------------------------------------
 function parseArgs(argv) {
@@ -51,7 +101,7 @@ function parseArgs(argv) {
   if (!args.length || args.includes('-h') || args.includes('--help')) {
     return { help: true };
   }
-  const opts = { peers: [], maxPeers: 500, timeout: 15000, verbose: false };
+  const opts = { peers: [], maxPeers: 500, timeout: config.fetchTimeoutMs, concurrency: 1, verbose: false };
   const positionals = [];
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
@@ -68,6 +118,10 @@ function parseArgs(argv) {
       opts.maxPeers = parseInt(args[++i], 10) || opts.maxPeers;
     } else if (a === '--timeout') {
       opts.timeout = parseInt(args[++i], 10) || opts.timeout;
+    } else if (a === '--concurrency') {
+      opts.concurrency = parseInt(args[++i], 10) || opts.concurrency;
+    } else if (a === '--discover') {
+      opts.discover = true;
     } else if (a === '--verbose' || a === '-v') {
       opts.verbose = true;
     } else {
@@ -86,7 +140,7 @@ function usage() {
   console.log(
     `Usage: node ${path.basename(
       process.argv[1]
-    )} <txid> [outfile] [--peers peer1,peer2,...] [--maxPeers N] [--timeout MS] [--verbose]\n`
+    )} <txid> [outfile] [--peers peer1,peer2,...] [--maxPeers N] [--timeout MS] [--concurrency N] [--discover] [--verbose]\n`
   );
   console.log('Example:');
   console.log(
@@ -106,55 +160,19 @@ function base64UrlToBuffer(b64url) {
   return Buffer.from(b64, 'base64');
 }
 
-// ------------------------------ PEERS MGMT ----------------------------------
-const BUILTIN_PEERS = [
-  'https://arweave.net',
-  'http://38.29.227.39:1984',
-  'http://38.29.227.41:1984',
-  'http://165.254.143.21:1984',
-];
-
-function normalisePeer(p) {
-  let url = p.trim();
-  if (!url) return null;
-  if (!/^https?:\/\//i.test(url)) {
-    // If includes port assume http
-    url = `http://${url}`;
-  }
-  // Drop trailing slash
-  url = url.replace(/\/$/, '');
-  return url;
-}
-
-async function discoverPeers(seedPeers, timeout, maxPeers, verbose) {
-  const visited = new Set();
-  const queue = [...seedPeers];
-  const out = [];
-  while (queue.length && out.length < maxPeers) {
-    const peer = queue.shift();
-    const norm = normalisePeer(peer);
-    if (!norm || visited.has(norm)) continue;
-    visited.add(norm);
-    out.push(norm);
-    if (verbose) console.error(`[peers] visiting ${norm}`);
-    try {
-      const arr = await axios.get(`${norm}/peers`, { timeout }).then((r) => r.data);
-      for (const cand of arr) {
-        const c = normalisePeer(cand);
-        if (c && !visited.has(c) && !queue.includes(c) && out.length + queue.length < maxPeers) {
-          queue.push(c);
-        }
-      }
-    } catch (err) {
-      if (verbose) console.error(`[peers] ${norm} /peers failed: ${err.message}`);
-    }
-  }
-  return out.slice(0, maxPeers);
-}
-
 // -------------------------- TX OFFSET + SIZE --------------------------------
-async function fetchTxOffset(txid, peers, timeout, verbose, logger = console.log) {
+export async function fetchTxOffset(
+  txid,
+  allPeers,
+  timeout,
+  verbose,
+  logger = console.log,
+  registry = null,
+  signal = undefined
+) {
   const errors = [];
+  // Best-scoring peers first when a registry is available
+  const peers = registry ? registry.rank(allPeers) : allPeers;
   logger(`Attempting to fetch tx offset from ${peers.length} peers...`);
 
   for (let i = 0; i < peers.length; i++) {
@@ -162,25 +180,34 @@ async function fetchTxOffset(txid, peers, timeout, verbose, logger = console.log
     const url = `${p}/tx/${txid}/offset`;
     if (verbose) logger(`[offset] Trying ${url} (${i + 1}/${peers.length})`);
 
+    const started = Date.now();
     try {
-      const json = await axios
-        .get(url, {
-          timeout: Math.min(timeout, 10000), // Cap individual request timeout
-          validateStatus: () => true, // Don't throw on HTTP error status
-        })
-        .then((r) => r.data);
+      const resp = await axios.get(url, {
+        timeout: Math.min(timeout, 10000), // Cap individual request timeout
+        validateStatus: () => true, // Don't throw on HTTP error status
+        signal,
+      });
+      const json = resp.data;
 
       if (json && typeof json.offset !== 'undefined' && typeof json.size !== 'undefined') {
         logger(`✅ Successfully fetched offset from ${p}: offset=${json.offset}, size=${json.size}`);
+        if (registry) registry.recordSuccess(p, Date.now() - started);
+        metrics.peerRequests.inc({ peer: p, op: 'offset', result: 'ok' });
         return {
           peer: p,
           offset: BigInt(json.offset),
           size: BigInt(json.size),
         };
       }
+      if (registry) registry.recordFailure(p, { notFound: resp.status === 404 });
+      metrics.peerRequests.inc({ peer: p, op: 'offset', result: resp.status === 404 ? 'not_found' : 'error' });
       errors.push(new Error(`Malformed response from ${p}: ${JSON.stringify(json)}`));
     } catch (err) {
+      // Aborted by the caller: not the peer's fault
+      if (signal && signal.aborted) throw abortError(signal);
       const errorMsg = err.code === 'ECONNABORTED' ? 'timeout' : err.message;
+      if (registry) registry.recordFailure(p);
+      metrics.peerRequests.inc({ peer: p, op: 'offset', result: 'error' });
       errors.push(new Error(`${p}: ${errorMsg}`));
       if (verbose) logger(`❌ Failed ${p}: ${errorMsg}`);
     }
@@ -194,21 +221,104 @@ async function fetchTxOffset(txid, peers, timeout, verbose, logger = console.log
   logger(`❌ Failed to fetch tx offset from any peer (${errors.length} errors)`);
   const e = new Error(`Failed to fetch tx offset from any peer (${errors.length} errors)`);
   e.causes = errors;
+  e.network = true;
   throw e;
 }
 
+// The data_root every fetched chunk is verified against. Tries the /data_root
+// field endpoint first and falls back to the full tx header.
+async function fetchTxDataRoot(txid, peers, timeout, verbose, logger = console.log, signal = undefined) {
+  for (const p of peers) {
+    for (const [field, pick] of [
+      ['/data_root', (data) => (typeof data === 'string' ? data.trim() : '')],
+      ['', (data) => (data && typeof data.data_root === 'string' ? data.data_root : '')],
+    ]) {
+      try {
+        const resp = await axios.get(`${p}/tx/${txid}${field}`, {
+          timeout: Math.min(timeout, 10000),
+          validateStatus: () => true,
+          signal,
+        });
+        const root = pick(resp.data);
+        if (resp.status === 200 && /^[\w-]{43}$/.test(root)) return root;
+      } catch (err) {
+        if (signal && signal.aborted) throw abortError(signal);
+        if (verbose) logger(`[data_root] ${p}${field} failed: ${err.message}`);
+      }
+    }
+  }
+  return null;
+}
+
+// ------------------------------ CHECKPOINTS ---------------------------------
+// While downloading, bytes are appended to `<outfile>.partial` and progress is
+// recorded in `<outfile>.checkpoint.json`. A later run for the same tx picks up
+// from the checkpoint; the partial file is renamed to <outfile> once complete.
+const partialPathFor = (outfile) => `${outfile}.partial`;
+const checkpointPathFor = (outfile) => `${outfile}.checkpoint.json`;
+
+function loadCheckpoint(outfile, { txid, size, endOffset, dataRoot }) {
+  let cp;
+  try {
+    cp = JSON.parse(fs.readFileSync(checkpointPathFor(outfile), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+  const sameTx =
+    cp.txid === txid &&
+    cp.size === size.toString() &&
+    cp.endOffset === endOffset.toString() &&
+    (!cp.data_root || !dataRoot || cp.data_root === dataRoot);
+  if (!sameTx) return null;
+  // The partial file may hold bytes written after the last checkpoint; those are dropped.
+  let partialSize;
+  try {
+    partialSize = fs.statSync(partialPathFor(outfile)).size;
+  } catch (err) {
+    return null;
+  }
+  const bytes = BigInt(cp.bytes);
+  if (BigInt(partialSize) < bytes) return null;
+  return { nextPos: BigInt(cp.nextPos), bytes, chunkCount: cp.chunkCount || 0 };
+}
+
+function saveCheckpoint(outfile, cp) {
+  const file = checkpointPathFor(outfile);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(
+    tmp,
+    JSON.stringify({
+      txid: cp.txid,
+      size: cp.size.toString(),
+      endOffset: cp.endOffset.toString(),
+      data_root: cp.dataRoot,
+      nextPos: cp.nextPos.toString(),
+      bytes: cp.bytes.toString(),
+      chunkCount: cp.chunkCount,
+      updatedAt: new Date().toISOString(),
+    })
+  );
+  fs.renameSync(tmp, file);
+}
+
 // ------------------------------ CHUNK FETCH ---------------------------------
-async function fetchChunkFromPeer(peer, absPos, timeout, verbose) {
+// A peer that serves this many chunks failing verification is not asked again during this fetch.
+const MAX_BAD_CHUNKS_PER_PEER = 3;
+
+async function fetchChunkFromPeer(peer, absPos, timeout, verbose, verify, signal) {
   const url = `${peer}/chunk/${absPos.toString()}`;
   if (verbose) console.error(`[chunk] GET ${url}`);
 
   const response = await axios.get(url, {
     timeout: Math.min(timeout, 120000), // Cap individual request timeout
     validateStatus: () => true, // Don't throw on HTTP error status
+    signal,
   });
 
   if (response.status !== 200) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const e = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    e.status = response.status;
+    throw e;
   }
 
   const json = response.data;
@@ -217,6 +327,24 @@ async function fetchChunkFromPeer(peer, absPos, timeout, verbose) {
   }
 
   const buf = base64UrlToBuffer(json.chunk);
+  if (verify) {
+    // Trust the merkle proof, not the peer's `offset`, for where this chunk sits.
+    let proven;
+    try {
+      proven = await verifyChunk({
+        dataRoot: verify.dataRoot,
+        size: Number(verify.size),
+        relPos: Number(absPos - verify.startOffset),
+        chunk: buf,
+        dataPath: json.data_path,
+      });
+    } catch (err) {
+      err.badChunk = true;
+      throw err;
+    }
+    const start = verify.startOffset + BigInt(proven.start);
+    return { buf, start, end: start + BigInt(buf.length) - 1n, raw: json };
+  }
   // Response may include an `offset` (end offset) and/or `data_size`; tolerate absence.
   // If offset provided use it; else assume the chunk we requested ends at absPos + buf.length -1.
   const respEnd = json.offset !== undefined ? BigInt(json.offset) : absPos + BigInt(buf.length) - 1n;
@@ -224,16 +352,66 @@ async function fetchChunkFromPeer(peer, absPos, timeout, verbose) {
   return { buf, start: chunkStart, end: respEnd, raw: json };
 }
 
-async function fetchChunk(peers, absPos, timeout, verbose, logger = console.log) {
+// `verify` ({ dataRoot, startOffset, size }) turns on merkle verification; peers
+// that serve chunks failing it are counted in `badPeers` (peer -> count).
+// With a `registry`, peers are tried best-score first (after `preferred`, if
+// given) and every attempt's outcome is recorded. Failed attempts are also
+// reported to `onEvent` as peer_failure events (see events.mjs). Aborting
+// `signal` stops the request in flight and rejects with its reason. With a
+// `cache` (see chunk-cache.mjs) and `verify`, a cached chunk is returned
+// without asking any peer (its `peer` is CACHE_PEER) and verified chunks from
+// peers are added to it.
+export async function fetchChunk(
+  allPeers,
+  absPos,
+  timeout,
+  verbose,
+  logger = console.log,
+  { verify, badPeers, registry, preferred, onEvent = () => {}, signal, cache } = {}
+) {
+  if (cache && verify) {
+    const hit = await cache.get(verify, absPos);
+    if (hit) return { ...hit, peer: CACHE_PEER };
+  }
   const errors = [];
+  let peers = registry ? registry.rank(allPeers) : allPeers;
+  if (preferred && peers.includes(preferred)) {
+    peers = [preferred, ...peers.filter((p) => p !== preferred)];
+  }
   for (let i = 0; i < peers.length; i++) {
     const p = peers[i];
+    if (badPeers && (badPeers.get(p) || 0) >= MAX_BAD_CHUNKS_PER_PEER) continue;
+    const started = Date.now();
     try {
-      return await fetchChunkFromPeer(p, absPos, timeout, verbose);
+      const res = await fetchChunkFromPeer(p, absPos, timeout, verbose, verify, signal);
+      if (registry) registry.recordSuccess(p, Date.now() - started);
+      metrics.peerRequests.inc({ peer: p, op: 'chunk', result: 'ok' });
+      if (cache && verify) cache.put(verify.dataRoot, res.start, res.buf, res.raw.data_path);
+      return { ...res, peer: p };
     } catch (err) {
+      if (signal && signal.aborted) throw abortError(signal);
       const errorMsg = err.code === 'ECONNABORTED' ? 'timeout' : err.message;
+      if (registry) registry.recordFailure(p, { notFound: err.status === 404 });
+      metrics.peerRequests.inc({
+        peer: p,
+        op: 'chunk',
+        result: err.badChunk ? 'bad_chunk' : err.status === 404 ? 'not_found' : 'error',
+      });
       errors.push(new Error(`${p}: ${errorMsg}`));
-      if (verbose) logger(`[chunk] ${p} failed: ${errorMsg}`);
+      onEvent({
+        type: 'peer_failure',
+        op: 'fetch',
+        peer: p,
+        status: err.status || null,
+        error: errorMsg,
+        badChunk: !!err.badChunk,
+      });
+      if (err.badChunk) {
+        if (badPeers) badPeers.set(p, (badPeers.get(p) || 0) + 1);
+        logger(`⚠️ Rejected chunk @${absPos.toString()} from ${p}: ${errorMsg}`);
+      } else if (verbose) {
+        logger(`[chunk] ${p} failed: ${errorMsg}`);
+      }
     }
 
     // Log progress every 10 attempts
@@ -243,126 +421,332 @@ async function fetchChunk(peers, absPos, timeout, verbose, logger = console.log)
   }
   const e = new Error(`All peers failed for chunk @${absPos.toString()}`);
   e.causes = errors;
+  e.network = true;
   throw e;
 }
 
+// Errors for "no peer could serve it", told apart by `network` (see the exit codes above)
+function networkError(message) {
+  const e = new Error(message);
+  e.network = true;
+  return e;
+}
+
+// fetchChunk() that gives up after `ms` over all peers, aborting the request in flight
+async function fetchChunkWithin(ms, peers, absPos, opts, logger, fetchCtx) {
+  const deadline = deadlineSignal(fetchCtx.signal, ms, () =>
+    networkError(`Timeout fetching chunk at position ${absPos.toString()}`)
+  );
+  try {
+    return await fetchChunk(peers, absPos, opts.timeout, opts.verbose, logger, {
+      ...fetchCtx,
+      signal: deadline.signal,
+    });
+  } finally {
+    deadline.clear();
+  }
+}
+
+// Download the planned chunk ranges with `concurrency` workers, writing each one
+// at its own position in the partial file. `fromBytes` bytes are already on disk;
+// `onChunk(prefixBytes, { offset, bytes, peer })` is called after each chunk with
+// the number of bytes from the start of the file that are now contiguously
+// written, and where the chunk came from.
+async function fetchChunksParallel({
+  fd,
+  peers,
+  startOffset,
+  size,
+  fromBytes,
+  concurrency,
+  opts,
+  logger,
+  fetchCtx,
+  onChunk,
+}) {
+  const plan = planChunks(Number(size)).filter((c) => c.end > fromBytes);
+  const completed = new Set();
+  let prefix = fromBytes;
+  let planCursor = 0; // first plan entry not yet in the contiguous prefix
+  let nextTask = 0;
+  let failure = null;
+
+  async function fetchRange({ index, start: rangeStart, end: rangeEnd }) {
+    // Spread chunks over the best `concurrency` peers; fetchChunk moves on to the next peer on failure.
+    const ranked = fetchCtx.registry ? fetchCtx.registry.rank(peers) : peers;
+    const preferred = ranked[index % Math.min(concurrency, ranked.length)];
+    let cursor = Math.max(rangeStart, fromBytes);
+    const from = cursor;
+    let peer;
+    while (cursor < rangeEnd) {
+      const absPos = startOffset + BigInt(cursor);
+      let buf, start;
+      ({ buf, start, peer } = await fetchChunkWithin(opts.timeout * 2, peers, absPos, opts, logger, {
+        ...fetchCtx,
+        preferred,
+      }));
+      const sliceStart = Number(absPos - start);
+      if (sliceStart < 0 || sliceStart >= buf.length) {
+        throw new Error(`Chunk returned for position ${absPos.toString()} does not contain it`);
+      }
+      // A chunk may extend past the planned range; keep only the planned bytes.
+      const usable = buf.subarray(sliceStart, sliceStart + (rangeEnd - cursor));
+      fs.writeSync(fd, usable, 0, usable.length, cursor);
+      cursor += usable.length;
+    }
+    return { offset: from, bytes: rangeEnd - from, peer };
+  }
+
+  async function worker() {
+    while (!failure && nextTask < plan.length) {
+      const entry = plan[nextTask++];
+      let fetched;
+      try {
+        fetched = await fetchRange(entry);
+      } catch (err) {
+        failure = failure || err;
+        return;
+      }
+      fs.fsyncSync(fd);
+      completed.add(entry.index);
+      while (planCursor < plan.length && completed.has(plan[planCursor].index)) {
+        prefix = plan[planCursor].end;
+        planCursor++;
+      }
+      logger(
+        `Fetched chunk ${entry.index + 1}/${plan[plan.length - 1].index + 1} (size: ${
+          entry.end - entry.start
+        } bytes, contiguous: ${prefix}/${size})`
+      );
+      onChunk(prefix, fetched);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, plan.length) }, worker));
+  if (failure) throw failure;
+  return prefix;
+}
+
+// Chunks taken from the cache are not counted as fetched from peers
+function countFetched(peer, bytes) {
+  if (peer !== CACHE_PEER) metrics.chunksFetched.inc();
+  metrics.bytesFetched.inc({ source: peer === CACHE_PEER ? 'cache' : 'arweave' }, bytes);
+}
+
 // ------------------------------ MAIN LOGIC ----------------------------------
-export async function fetchArweaveChunks(opts, { logger = console.log, errorLogger = console.error } = {}) {
+export async function fetchArweaveChunks(opts, hooks) {
+  const end = metrics.fetchDuration.startTimer();
+  try {
+    const res = await fetchTxChunks(opts, hooks);
+    end({ result: res.source === 'store' ? 'store' : 'ok' });
+    return res;
+  } catch (err) {
+    end({ result: 'error' });
+    throw err;
+  }
+}
+
+async function fetchTxChunks(
+  opts,
+  { logger = console.log, errorLogger = console.error, onProgress = () => {}, onEvent = () => {} } = {}
+) {
   // Ensure required options have defaults
-  opts.timeout = opts.timeout || 120000;
-  opts.outfile = opts.outfile || `${opts.txid}.bin`;
-  const seed = [...BUILTIN_PEERS, ...(opts.peers || [])];
-  // const peers = await discoverPeers(
-  //   seed,
-  //   opts.timeout,
-  //   opts.maxPeers,
-  //   opts.verbose,
-  // );
-
-  // const peers = [
-  //   '38.29.227.39:1984',
-  //   '38.29.227.41:1984',
-  //   '38.29.227.85:1984',
-  //   '165.254.143.21:1984',
-  //   '168.119.211.20:1984',
-  //   '38.29.227.87:1984',
-  //   '38.29.227.43:1984',
-  //   '38.29.227.89:1984',
-  //   '49.12.135.160:1984',
-  //   '108.238.244.144:2012',
-  //   '38.29.227.93:1984',
-  //   '165.254.143.17:1984',
-  //   '165.254.143.25:1984',
-  //   '112.120.10.191:1986',
-  //   '165.254.143.31:1984',
-  //   '38.29.227.91:1984',
-  //   '165.254.143.27:1984',
-  //   '165.254.143.23:1984',
-  //   '38.29.227.95:1984',
-  //   '112.120.10.191:1984',
-  //   '47.205.134.63:1985',
-  //   '74.82.0.180:1995',
-  //   '165.254.143.33:1984',
-  //   '165.254.143.29:1984',
-  //   '138.201.218.229:1984',
-  //   '112.120.10.191:1985',
-  //   '168.119.211.60:1984',
-  //   '165.254.143.19:1984',
-  //   '154.201.1.130:11099',
-  //   '74.82.0.180:1986',
-  //   '3.34.96.164:1984',
-  //   '74.82.0.180:1988',
-  // ];
-
-  // Normalize and deduplicate all peers
-  const allPeers = Array.from(new Set([...seed].map(normalisePeer).filter(Boolean)));
-  logger(`Using peers for chunk fetch: [${allPeers.join(', ')}]`);
-
-  // Add overall timeout protection
-  const offsetPromise = fetchTxOffset(opts.txid, allPeers, opts.timeout, opts.verbose, logger);
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Overall timeout fetching tx offset')), opts.timeout * 2)
+  opts.timeout = opts.timeout || config.fetchTimeoutMs;
+  opts.outfile = opts.outfile || (opts.workspace ? opts.workspace.path(`${opts.txid}.bin`) : `${opts.txid}.bin`);
+  opts.concurrency = opts.concurrency || 1;
+  const registry = opts.registry || sharedPeerRegistry({ cacheFile: opts.peerCache });
+  const seed = registry.add([...config.seedPeers, ...(opts.peers || [])]);
+  if (opts.discover) {
+    logger(`Discovering peers from ${seed.length} seed peer(s)...`);
+    await registry.discover(seed, { maxPeers: opts.maxPeers, verbose: opts.verbose, logger, signal: opts.signal });
+  }
+
+  // Seed peers plus everything the registry knows (discovered now or cached from earlier runs)
+  const allPeers = Array.from(new Set([...seed, ...registry.list()]));
+  logger(
+    `Using ${allPeers.length} peers for chunk fetch, best first: [${registry.rank(allPeers).slice(0, 10).join(', ')}${
+      allPeers.length > 10 ? ', ...' : ''
+    }]`
   );
 
-  const { offset: endOffset, size } = await Promise.race([offsetPromise, timeoutPromise]);
+  // A verified copy in the artifact store saves the whole download
+  const store = opts.store || createNoArtifactStore();
+  let dataRoot;
+  if (store.persistent) {
+    dataRoot = await fetchTxDataRoot(opts.txid, allPeers, opts.timeout, opts.verbose, logger, opts.signal);
+    if (dataRoot && (await restoreArtifact(store, opts.txid, opts.outfile, dataRoot, { logger, errorLogger }))) {
+      registry.save({ errorLogger });
+      const bytes = fs.statSync(opts.outfile).size;
+      return { outfile: path.resolve(opts.outfile), bytes, badPeers: {}, source: 'store' };
+    }
+  }
+
+  // Overall timeout for the offset lookup over all peers
+  const offsetDeadline = deadlineSignal(opts.signal, opts.timeout * 2, () =>
+    networkError('Overall timeout fetching tx offset')
+  );
+  const { offset: endOffset, size } = await fetchTxOffset(
+    opts.txid,
+    allPeers,
+    opts.timeout,
+    opts.verbose,
+    logger,
+    registry,
+    offsetDeadline.signal
+  )
+    .catch((err) => {
+      registry.save({ errorLogger });
+      throw err;
+    })
+    .finally(() => offsetDeadline.clear());
   const startOffset = endOffset - size + 1n;
   if (opts.verbose) errorLogger(`[tx] size=${size} end=${endOffset} start=${startOffset}`);
 
-  const buffers = [];
+  dataRoot = dataRoot || (await fetchTxDataRoot(opts.txid, allPeers, opts.timeout, opts.verbose, logger, opts.signal));
+  if (!dataRoot) {
+    throw networkError(`Failed to fetch data_root for ${opts.txid}; chunks cannot be verified`);
+  }
+  if (opts.verbose) errorLogger(`[tx] data_root=${dataRoot}`);
+  const badPeers = new Map();
+  // Each chunk gives up on its own after twice the timeout, so a stalled download
+  // fails without bounding a large one that makes progress. The optional overall
+  // deadline aborts the requests in flight.
+  const deadlineMs = opts.deadline ?? config.fetchDeadlineMs;
+  const overall = deadlineSignal(opts.signal, deadlineMs, () =>
+    networkError(`Overall timeout: chunk fetching took longer than ${deadlineMs}ms`)
+  );
+  const cache = opts.cache !== undefined ? opts.cache : sharedChunkCache();
+  const fetchCtx = {
+    verify: { dataRoot, startOffset, size },
+    badPeers,
+    registry,
+    onEvent,
+    signal: overall.signal,
+    cache,
+  };
+
+  const partialFile = partialPathFor(opts.outfile);
   let bytesAccum = 0n;
   let nextPos = startOffset;
   let chunkCount = 0;
-  let estTotalChunks = Math.ceil(Number(size) / (256 * 1024)); // estimate
 
-  // Add overall timeout for the entire chunk fetching operation
-  const overallTimeout = setTimeout(() => {
-    throw new Error(`Overall timeout: chunk fetching took longer than ${opts.timeout * 3}ms`);
-  }, opts.timeout * 3);
+  const resumed = loadCheckpoint(opts.outfile, { txid: opts.txid, size, endOffset, dataRoot });
+  if (resumed) {
+    ({ nextPos, bytes: bytesAccum, chunkCount } = resumed);
+    fs.truncateSync(partialFile, Number(bytesAccum));
+    logger(`Resuming ${opts.txid} from checkpoint: ${bytesAccum}/${size} bytes, next offset ${nextPos}`);
+  } else {
+    fs.writeFileSync(partialFile, Buffer.alloc(0));
+  }
+  const fd = fs.openSync(partialFile, 'r+');
 
   try {
-    while (bytesAccum < size) {
-      const chunkPromise = fetchChunk(allPeers, nextPos, opts.timeout, opts.verbose, logger);
-      const chunkTimeoutPromise = new Promise((_, reject) =>
-        setTimeout(
-          () => reject(new Error(`Timeout fetching chunk at position ${nextPos.toString()}`)),
-          opts.timeout * 2
-        )
+    if (opts.concurrency > 1 && bytesAccum < size) {
+      logger(`Fetching with concurrency ${opts.concurrency}`);
+      bytesAccum = BigInt(
+        await fetchChunksParallel({
+          fd,
+          peers: allPeers,
+          startOffset,
+          size,
+          fromBytes: Number(bytesAccum),
+          concurrency: opts.concurrency,
+          opts,
+          logger,
+          fetchCtx,
+          onChunk: (prefix, { offset, bytes, peer }) => {
+            chunkCount++;
+            saveCheckpoint(opts.outfile, {
+              txid: opts.txid,
+              size,
+              endOffset,
+              dataRoot,
+              nextPos: startOffset + BigInt(prefix),
+              bytes: BigInt(prefix),
+              chunkCount,
+            });
+            countFetched(peer, bytes);
+            onEvent({ type: 'chunk_fetched', txid: opts.txid, offset, bytes, peer, done: prefix, total: Number(size) });
+            onProgress({ done: prefix, total: Number(size), unit: 'bytes' });
+          },
+        })
       );
-
-      const { buf, start, end } = await Promise.race([chunkPromise, chunkTimeoutPromise]);
-      // Determine slice we need from this chunk.
-      // If the chunk starts before the next unread position, slice forward.
-      let sliceStart = 0;
-      if (start < nextPos) {
-        sliceStart = Number(nextPos - start); // safe because <= buf.length
-      }
-      let usable = buf.slice(sliceStart);
-      // Do not read past declared size.
-      const remaining = Number(size - bytesAccum);
-      if (usable.length > remaining) {
-        usable = usable.slice(0, remaining);
+    } else {
+      while (bytesAccum < size) {
+        const { buf, start, peer } = await fetchChunkWithin(
+          opts.timeout * 2,
+          allPeers,
+          nextPos,
+          opts,
+          logger,
+          fetchCtx
+        );
+        // Determine slice we need from this chunk.
+        // If the chunk starts before the next unread position, slice forward.
+        let sliceStart = 0;
+        if (start < nextPos) {
+          sliceStart = Number(nextPos - start); // safe because <= buf.length
+        }
+        let usable = buf.slice(sliceStart);
+        // Do not read past declared size.
+        const remaining = Number(size - bytesAccum);
+        if (usable.length > remaining) {
+          usable = usable.slice(0, remaining);
+        }
+        const offset = Number(bytesAccum);
+        fs.writeSync(fd, usable, 0, usable.length, offset);
+        fs.fsyncSync(fd);
+        bytesAccum += BigInt(usable.length);
+        chunkCount++;
+        // Compute next absolute position (byte index) to request.
+        nextPos = start + BigInt(buf.length); // first byte after this chunk
+        saveCheckpoint(opts.outfile, {
+          txid: opts.txid,
+          size,
+          endOffset,
+          dataRoot,
+          nextPos,
+          bytes: bytesAccum,
+          chunkCount,
+        });
+        logger(`Fetched chunk ${chunkCount} (size: ${usable.length} bytes, total: ${bytesAccum}/${size})`);
+        countFetched(peer, usable.length);
+        onEvent({
+          type: 'chunk_fetched',
+          txid: opts.txid,
+          offset,
+          bytes: usable.length,
+          peer,
+          done: Number(bytesAccum),
+          total: Number(size),
+        });
+        onProgress({ done: Number(bytesAccum), total: Number(size), unit: 'bytes' });
       }
-      buffers.push(usable);
-      bytesAccum += BigInt(usable.length);
-      chunkCount++;
-      logger(`Fetched chunk ${chunkCount} (size: ${usable.length} bytes, total: ${bytesAccum}/${size})`);
-      if (bytesAccum >= size) break;
-      // Compute next absolute position (byte index) to request.
-      nextPos = start + BigInt(buf.length); // first byte after this chunk
     }
   } finally {
-    clearTimeout(overallTimeout);
+    overall.clear();
+    fs.closeSync(fd);
+    registry.save({ errorLogger });
+    if (badPeers.size) {
+      errorLogger(
+        `⚠️ Peers that served chunks failing verification: ${[...badPeers].map(([p, n]) => `${p} (${n})`).join(', ')}`
+      );
+    }
   }
 
-  const outBuf = Buffer.concat(buffers.map((b) => Buffer.from(b)));
-  if (BigInt(outBuf.length) !== size) {
-    errorLogger(`❌ Failed to fetch all chunks for ${opts.txid}: expected ${size} bytes, got ${outBuf.length} bytes.`);
-    throw new Error(`Incomplete: expected ${size} bytes but assembled ${outBuf.length}`);
+  const written = BigInt(fs.statSync(partialFile).size);
+  if (written !== size) {
+    errorLogger(`❌ Failed to fetch all chunks for ${opts.txid}: expected ${size} bytes, got ${written} bytes.`);
+    const e = new Error(`Incomplete: expected ${size} bytes but assembled ${written}`);
+    e.incomplete = true;
+    throw e;
   }
-  fs.writeFileSync(opts.outfile, outBuf);
+  fs.renameSync(partialFile, opts.outfile);
+  fs.rmSync(checkpointPathFor(opts.outfile), { force: true });
   logger(`✅ Successfully fetched and assembled all chunks for ${opts.txid}!`);
-  logger(`Wrote ${outBuf.length} bytes to ${opts.outfile}`);
-  return { outfile: path.resolve(opts.outfile), bytes: outBuf.length };
+  logger(`Wrote ${written} bytes to ${opts.outfile}`);
+  await saveArtifact(store, opts.txid, opts.outfile, { logger, errorLogger });
+  return { outfile: path.resolve(opts.outfile), bytes: Number(written), badPeers: Object.fromEntries(badPeers) };
 }
 
 // ------------------------------ ENTRYPOINT ----------------------------------
@@ -391,7 +775,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
           console.error('  cause:', c.message);
         }
       }
-      process.exit(3);
+      process.exit(err.network ? 2 : err.incomplete ? 3 : 4);
     }
   })();
 }
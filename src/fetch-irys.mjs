@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/*
+ * fetch-irys.mjs
+ * ---------------------------------------------
+ * Fallback source for bundle data: when no Arweave peer still holds a
+ * bundle's chunks, download the bundle bytes from an Irys node or gateway
+ * instead. Whatever is downloaded is only kept if it hashes to the Arweave
+ * tx's data_root, so it is safe to hand to reupload.mjs afterwards.
+ *
+ * Two kinds of sources are tried, in order:
+ *   1. Bundle sources: URL templates serving the bundle tx's data by bundle id.
+ *   2. Item sources: URL templates serving a raw (signed) ANS-104 data item by
+ *      its id. This only helps when the bundle holds that single item: the
+ *      bundle is rebuilt as the one-entry ANS-104 header followed by the item.
+ *
+ * Templates use `{id}` for the id, e.g. https://gateway.irys.xyz/{id}
+ *
+ * Usage:
+ *   node fetch-irys.mjs <bundleId> [outfile] [--item <txid>] [--source TEMPLATE]... [--item-source TEMPLATE]... [--peers p1,p2]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { pipeline } from 'stream/promises';
+import * as ArweaveUtils from 'arweave/node/lib/utils.js';
+import { computeFileDataRoot } from './chunk-layout.mjs';
+import { sharedPeerRegistry } from './peer-registry.mjs';
+import { createNoArtifactStore, saveArtifact } from './artifacts.mjs';
+import { throwIfAborted } from './cancel.mjs';
+import { metrics } from './metrics.mjs';
+import { config } from './config.mjs';
+
+// Defaults come from IRYS_BUNDLE_SOURCES / IRYS_ITEM_SOURCES (see config.mjs)
+export const DEFAULT_IRYS_BUNDLE_SOURCES = config.irysBundleSources;
+export const DEFAULT_IRYS_ITEM_SOURCES = config.irysItemSources;
+
+// data_root and data_size from the Arweave tx header, which still exists even
+// when the tx's chunks are gone.
+export async function fetchTxMeta(txid, peers, timeout = config.checkTimeoutMs, signal = undefined) {
+  const errors = [];
+  for (const p of peers) {
+    try {
+      const resp = await axios.get(`${p}/tx/${txid}`, { timeout, validateStatus: () => true, signal });
+      if (resp.status === 200 && resp.data && resp.data.data_root) {
+        return { dataRoot: resp.data.data_root, size: Number(resp.data.data_size) };
+      }
+      errors.push(new Error(`${p}: HTTP ${resp.status}`));
+    } catch (err) {
+      throwIfAborted(signal);
+      errors.push(new Error(`${p}: ${err.message}`));
+    }
+  }
+  const e = new Error(`Failed to fetch tx header for ${txid} from any peer`);
+  e.causes = errors;
+  throw e;
+}
+
+async function download(url, file, timeout, signal) {
+  const resp = await axios.get(url, {
+    responseType: 'stream',
+    timeout,
+    signal,
+    maxRedirects: 5,
+    validateStatus: () => true,
+  });
+  if (resp.status !== 200) {
+    resp.data.destroy();
+    throw new Error(`HTTP ${resp.status}`);
+  }
+  await pipeline(resp.data, fs.createWriteStream(file), { signal });
+  return fs.statSync(file).size;
+}
+
+// ANS-104 header for a bundle of exactly one item: item count, then (size, id).
+function singleItemBundleHeader(itemId, itemSize) {
+  const header = Buffer.alloc(32 + 64);
+  header.writeUIntLE(1, 0, 6);
+  header.writeUIntLE(itemSize, 32, 6);
+  Buffer.from(ArweaveUtils.b64UrlToBuffer(itemId)).copy(header, 64);
+  return header;
+}
+
+/**
+ * Download a bundle from Irys and verify it against the Arweave tx.
+ *
+ * opts: { bundleId, txid?, outfile?, workspace?, store?, dataRoot?, size?, sources?, itemSources?, peers?, timeout?,
+ *         signal? }
+ * The bundle is written to `outfile` (default <bundleId>.bin in `workspace`, or
+ * the current directory) and saved to `store` if that is persistent.
+ * Resolves to { outfile, bytes, source }; rejects if no source produced data
+ * matching the tx's data_root, or as soon as `signal` aborts.
+ */
+export async function fetchBundleFromIrys(opts, { logger = console.log, errorLogger = console.error } = {}) {
+  const {
+    bundleId,
+    txid,
+    sources = DEFAULT_IRYS_BUNDLE_SOURCES,
+    itemSources = DEFAULT_IRYS_ITEM_SOURCES,
+    timeout = config.fetchTimeoutMs,
+    signal,
+  } = opts;
+  const outfile = opts.outfile || (opts.workspace ? opts.workspace.path(`${bundleId}.bin`) : `${bundleId}.bin`);
+  const store = opts.store || createNoArtifactStore();
+  let { dataRoot, size } = opts;
+  if (!dataRoot || size === undefined) {
+    const peers = sharedPeerRegistry().rank([config.arweaveGateway, ...(opts.peers || [])]);
+    ({ dataRoot, size } = await fetchTxMeta(bundleId, peers, undefined, signal));
+  }
+  logger(`Fetching bundle ${bundleId} from Irys (expecting ${size} bytes, data_root ${dataRoot})`);
+
+  const tmp = `${outfile}.irys.partial`;
+  const candidates = [
+    ...sources.map((t) => ({ url: t.replace('{id}', bundleId), item: false })),
+    ...(txid ? itemSources.map((t) => ({ url: t.replace('{id}', txid), item: true })) : []),
+  ];
+  const errors = [];
+
+  for (const { url, item } of candidates) {
+    try {
+      if (item) {
+        // Download the raw item, then prepend the single-item bundle header.
+        const itemFile = `${tmp}.item`;
+        const itemSize = await download(url, itemFile, timeout, signal);
+        if (itemSize + 96 !== size) throw new Error(`item is ${itemSize} bytes, bundle needs ${size - 96}`);
+        fs.writeFileSync(tmp, singleItemBundleHeader(txid, itemSize));
+        await pipeline(fs.createReadStream(itemFile), fs.createWriteStream(tmp, { flags: 'a' }));
+        fs.rmSync(itemFile, { force: true });
+      } else {
+        await download(url, tmp, timeout, signal);
+      }
+      const got = fs.statSync(tmp).size;
+      if (got !== size) throw new Error(`got ${got} bytes, expected ${size}`);
+      const root = await computeFileDataRoot(tmp);
+      if (root !== dataRoot) throw new Error(`data_root mismatch: got ${root}, expected ${dataRoot}`);
+
+      fs.renameSync(tmp, outfile);
+      logger(`✅ Fetched ${got} bytes for ${bundleId} from ${url} (data_root verified)`);
+      metrics.bytesFetched.inc({ source: 'irys' }, got);
+      await saveArtifact(store, bundleId, outfile, { logger, errorLogger });
+      return { outfile: path.resolve(outfile), bytes: got, source: url };
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      fs.rmSync(`${tmp}.item`, { force: true });
+      throwIfAborted(signal);
+      errorLogger(`Irys source ${url} failed: ${err.message}`);
+      errors.push(new Error(`${url}: ${err.message}`));
+    }
+  }
+
+  const e = new Error(`No Irys source returned data matching ${bundleId}'s data_root`);
+  e.causes = errors;
+  throw e;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  if (!args.length || args.includes('-h') || args.includes('--help')) {
+    console.log(
+      `Usage: node ${path.basename(
+        process.argv[1]
+      )} <bundleId> [outfile] [--item <txid>] [--source TEMPLATE]... [--item-source TEMPLATE]... [--peers p1,p2]`
+    );
+    process.exit(1);
+  }
+  const opts = { sources: [], itemSources: [] };
+  const positionals = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--item') opts.txid = args[++i];
+    else if (args[i] === '--source') opts.sources.push(args[++i]);
+    else if (args[i] === '--item-source') opts.itemSources.push(args[++i]);
+    else if (args[i] === '--peers') opts.peers = args[++i].split(',').filter(Boolean);
+    else positionals.push(args[i]);
+  }
+  if (!opts.sources.length) delete opts.sources;
+  if (!opts.itemSources.length) delete opts.itemSources;
+  [opts.bundleId, opts.outfile] = positionals;
+  fetchBundleFromIrys(opts, { logger: console.log, errorLogger: console.error }).catch((err) => {
+    console.error('ERROR:', err.message);
+    process.exit(1);
+  });
+}
@@ -1,59 +1,185 @@
+import fs from 'fs';
 import path from 'path';
 import axios from 'axios';
 import { checkTx } from './check-irys-bundle.mjs';
 import { fetchArweaveChunks } from './fetch-arweave-chunks.mjs';
+import { fetchBundleFromIrys } from './fetch-irys.mjs';
+import { readBundleIndex, readDataItem, dataItemDigest } from './ans104.mjs';
 import { reuploadChunks } from './reupload.mjs';
+import { createWorkspace, createArtifactStore, withLock } from './artifacts.mjs';
+import { pollAvailability } from './verify.mjs';
+import { abortable, cancelledError, deadlineSignal, throwIfAborted } from './cancel.mjs';
+import { metrics } from './metrics.mjs';
+import { config } from './config.mjs';
 
-function pollArweave(txid, { interval = 10000, maxAttempts = 100, logger = console.log } = {}) {
-  return new Promise((resolve, reject) => {
-    let attempts = 0;
-    async function check() {
-      attempts++;
-      try {
-        const resp = await axios.head(`https://arweave.net/${txid}`);
-        if (resp.status === 200) {
-          logger(`\n✅ Tx ${txid} is now available on Arweave!`);
-          return resolve(true);
-        }
-      } catch (err) {
-        // ignore, will retry
-      }
-      if (attempts >= maxAttempts) {
-        reject(new Error(`Gave up after ${maxAttempts} attempts.`));
+// Look for each txid in the fetched bundle and verify the ones found.
+// Returns { items, missing, expected }: the ids the bundle lists (null if it is
+// not a readable bundle), the txids it does not list, and for the ones it
+// does, the digest of their data to check gateways against (see verify.mjs).
+function checkBundleMembers(file, bundleId, txids, { logger, errorLogger }) {
+  const expected = new Map();
+  let index;
+  try {
+    index = readBundleIndex(file);
+  } catch (err) {
+    errorLogger(`⚠️ Could not read ${file} as an ANS-104 bundle: ${err.message}`);
+    return { items: null, missing: [], expected };
+  }
+  const missing = [];
+  for (const txid of txids) {
+    const entry = index.items.find((it) => it.id === txid);
+    if (!entry) {
+      missing.push(txid);
+      continue;
+    }
+    try {
+      const item = readDataItem(file, entry);
+      if (!item.idValid || item.signatureValid === false) {
+        errorLogger(
+          `⚠️ Data item ${txid} is in the bundle but failed verification (id ok: ${item.idValid}, signature ok: ${item.signatureValid})`
+        );
       } else {
-        logger('.');
-        setTimeout(check, interval);
+        const sig = item.signatureValid === null ? `${item.signatureName} signature not checked` : 'signature verified';
+        logger(`Data item ${txid} found in bundle at offset ${entry.offset} (${entry.size} bytes, ${sig})`);
       }
+      expected.set(txid, { bundleId, ...dataItemDigest(file, item) });
+    } catch (err) {
+      errorLogger(`⚠️ Data item ${txid} is in the bundle but could not be parsed: ${err.message}`);
     }
-    check();
-  });
+  }
+  return { items: new Set(index.items.map((it) => it.id)), missing, expected };
 }
 
-export async function fixArweaveTx(txid, { logger = console.log, errorLogger = console.error } = {}) {
-  // 1. Check if tx is already on Arweave or Irys
-  let bundleId;
-  let seeds;
-  logger(`Checking Arweave for ${txid}`);
-  try {
-    const res = await checkTx(txid);
-    if (res.source === 'arweave') {
-      logger(`Found on Arweave. No action needed.`);
-      return { status: 'already_on_arweave' };
+// ------------------------------ IN-FLIGHT REPAIRS ---------------------------
+// Repairs running in this process, by bundle id. A second request for a bundle
+// that is already being repaired (another data item of it, or a retry of the
+// same txid) attaches to the running repair instead of fetching and
+// reuploading the bundle again: it is sent the repair's progress from then on
+// and waits for its outcome. A caller whose `signal` aborts stops waiting and
+// detaches; the repair itself is only cancelled once no caller is left.
+const inFlight = new Map(); // bundleId -> repair (see createRepair)
+
+const HOOK_NAMES = ['logger', 'errorLogger', 'onStage', 'onProgress', 'onEvent'];
+
+// The repair of `bundleId`, reporting to every attached caller; start() runs
+// it once the first caller has attached
+function createRepair(bundleId, { seeds, txids }) {
+  const subscribers = new Set();
+  const controller = new AbortController();
+  let settled = false;
+  const repair = {
+    txids: new Set(txids),
+    stage: null,
+    resumable: false, // a background job is attached, see runRepair
+    // hooks that pass every call on to all attached callers
+    hooks: Object.fromEntries(
+      HOOK_NAMES.map((name) => [
+        name,
+        (...args) => {
+          if (name === 'onStage') repair.stage = args[0];
+          for (const hooks of subscribers) hooks[name](...args);
+        },
+      ])
+    ),
+    // Returns detach(); the last caller to detach before the end cancels the repair
+    attach(hooks) {
+      subscribers.add(hooks);
+      if (hooks.jobId) repair.resumable = true;
+      if (repair.stage) hooks.onStage(repair.stage);
+      return () => {
+        subscribers.delete(hooks);
+        if (subscribers.size || settled) return;
+        if (inFlight.get(bundleId) === repair) inFlight.delete(bundleId);
+        controller.abort(cancelledError(`Cancelled: nobody is waiting for the repair of ${bundleId} any more`));
+      };
+    },
+    start() {
+      const hooks = { signal: controller.signal, ...repair.hooks };
+      repair.promise = runRepair(bundleId, { seeds, repair }, hooks).finally(() => {
+        settled = true;
+        if (inFlight.get(bundleId) === repair) inFlight.delete(bundleId);
+      });
+    },
+  };
+  inFlight.set(bundleId, repair);
+  return repair;
+}
+
+// Repair `bundleId` for the data items in `txids`; when there is just one, the
+// Irys fallback may also rebuild a single-item bundle from it. Resolves to
+// { missing, expected, nodes, bytes, chunks: { total, uploaded } }, where
+// `missing` are the txids the bundle turned out not to contain and `expected`
+// maps the others to the digest of their data. If it contains none of them,
+// nothing is reuploaded. Rejects as soon as `hooks.signal` aborts.
+async function repairBundle(bundleId, { seeds, txids }, hooks) {
+  for (;;) {
+    throwIfAborted(hooks.signal);
+    let repair = inFlight.get(bundleId);
+    const joined = !!repair;
+    if (joined) {
+      hooks.logger(`Bundle ${bundleId} is already being repaired; following that repair.`);
+      metrics.coalescedRepairs.inc();
+      for (const txid of txids) repair.txids.add(txid);
+    } else {
+      repair = createRepair(bundleId, { seeds, txids });
     }
-    if (res.source !== 'irys') {
-      logger(`Not found. No bundle available on Irys. Exiting.`);
-      return { status: 'not_found_on_irys' };
+    const detach = repair.attach(hooks);
+    if (!joined) repair.start();
+    let res;
+    try {
+      res = await abortable(repair.promise, hooks.signal);
+    } finally {
+      detach();
     }
-    logger(`Not found. Checking Irys for bundle...`);
-    bundleId = res.bundle_id;
-    seeds = res.seeds;
-  } catch (err) {
-    errorLogger('Failed to check bundle status:', err.message);
-    throw err;
+    const missing = res.items ? txids.filter((txid) => !res.items.has(txid)) : [];
+    // Attached after the repair had already decided not to reupload, or too
+    // late to get the digests of our items checked: run our own
+    const unchecked = res.items ? txids.filter((txid) => res.items.has(txid) && !res.expected.has(txid)) : [];
+    if (joined && ((!res.reuploaded && missing.length < txids.length) || unchecked.length)) continue;
+    return { missing, expected: res.expected, nodes: res.nodes, bytes: res.bytes, chunks: res.chunks };
   }
-  logger(`Bundle id from Irys: ${bundleId}`);
+}
 
-  // 2. Fetch chunks
+// The bundle is downloaded into a workspace named after it (see artifacts.mjs),
+// used only while holding the bundle's lock, so a repair of the same bundle in
+// another process waits instead of overwriting its files. The workspace is
+// removed when the repair ends, unless it failed while a background job (a
+// caller with `jobId` in its hooks, see jobs.mjs) was attached: then it is kept
+// for the job's next attempt, or any other repair of the bundle, to pick up the
+// partial download. Other callers may run where the temp dir is memory.
+async function runRepair(bundleId, { seeds, repair }, hooks) {
+  const { logger, signal } = hooks;
+  const store = createArtifactStore();
+  return withLock(
+    bundleId,
+    async () => {
+      const workspace = createWorkspace({ name: `bundle-${bundleId}` });
+      let finished = false;
+      try {
+        const res = await repairBundleIn(workspace, store, bundleId, { seeds, repair }, hooks);
+        finished = true;
+        return res;
+      } finally {
+        if (finished || signal.aborted || !repair.resumable) workspace.cleanup();
+      }
+    },
+    { logger, signal }
+  );
+}
+
+// Resolves to { items, expected, nodes, reuploaded, bytes, chunks }: `items` is
+// the set of data item ids the bundle lists (null if it could not be read as a
+// bundle).
+async function repairBundleIn(
+  workspace,
+  store,
+  bundleId,
+  { seeds, repair },
+  { logger, errorLogger, onStage, onProgress, onEvent, signal }
+) {
+  // Fetch chunks
+  onStage('fetch');
+  let outfile;
   try {
     const peerList = seeds && Array.isArray(seeds) && seeds.length > 0 ? seeds : undefined;
     if (peerList) {
@@ -61,45 +187,359 @@ export async function fixArweaveTx(txid, { logger = console.log, errorLogger = c
     } else {
       logger(`\nFetching chunks for bundle id ${bundleId} with default peers.`);
     }
-    await fetchArweaveChunks(
+    ({ outfile } = await fetchArweaveChunks(
       {
         txid: bundleId,
         peers: peerList,
-        timeout: 120000,
+        timeout: config.fetchTimeoutMs,
+        concurrency: config.fetchConcurrency,
+        discover: config.fetchDiscover,
+        maxPeers: config.fetchMaxPeers,
         verbose: false,
+        workspace,
+        store,
+        signal,
       },
-      { logger, errorLogger }
-    );
+      { logger, errorLogger, onProgress, onEvent }
+    ));
   } catch (err) {
+    throwIfAborted(signal);
     errorLogger('Failed to fetch chunks:', err.message);
-    throw err;
+    // Arweave peers no longer have the bundle; try Irys, verified against the tx's data_root.
+    try {
+      logger(`\nFalling back to Irys for bundle id ${bundleId}...`);
+      ({ outfile } = await fetchBundleFromIrys(
+        {
+          bundleId,
+          txid: repair.txids.size === 1 ? [...repair.txids][0] : undefined,
+          peers: seeds,
+          workspace,
+          store,
+          signal,
+        },
+        { logger, errorLogger }
+      ));
+    } catch (fallbackErr) {
+      throwIfAborted(signal);
+      errorLogger('Irys fallback failed:', fallbackErr.message);
+      throw err;
+    }
+  }
+
+  // Make sure the bundle really holds the data items being repaired
+  const bytes = fs.statSync(outfile).size;
+  const txids = [...repair.txids];
+  const { items, missing, expected } = checkBundleMembers(outfile, bundleId, txids, { logger, errorLogger });
+  if (missing.length) {
+    errorLogger(`❌ Bundle ${bundleId} does not contain: ${missing.join(', ')}`);
+  }
+  if (missing.length === txids.length) {
+    errorLogger(`Not reuploading bundle ${bundleId}.`);
+    return { items, expected, reuploaded: false, bytes };
   }
 
-  // 3. Reupload
+  // Reupload
+  onStage('reupload');
   try {
     logger(`\nReuploading chunks for bundle id ${bundleId}...`);
-    await reuploadChunks(bundleId, { logger, errorLogger });
+    const { nodes, totalChunks, uploaded } = await reuploadChunks(bundleId, {
+      logger,
+      errorLogger,
+      onProgress,
+      onEvent,
+      onlyMissing: true,
+      peers: seeds || [],
+      file: outfile,
+      signal,
+    });
+    // Callers that attached meanwhile need their items checked and digested too
+    const joined = [...repair.txids].filter((txid) => !txids.includes(txid));
+    if (joined.length) {
+      for (const [txid, digest] of checkBundleMembers(outfile, bundleId, joined, { logger, errorLogger }).expected) {
+        expected.set(txid, digest);
+      }
+    }
+    return { items, expected, nodes, reuploaded: true, bytes, chunks: { total: totalChunks, uploaded } };
   } catch (err) {
     errorLogger('Failed to reupload chunks:', err.message);
     throw err;
   }
+}
 
-  // 4. Poll Arweave
+// A repair that runs past `repairDeadlineMs` is cancelled like an aborted `signal`
+const repairDeadline = (signal) =>
+  deadlineSignal(signal, config.repairDeadlineMs, () =>
+    cancelledError(`Cancelled: repair deadline of ${config.repairDeadlineMs}ms exceeded`)
+  );
+
+/**
+ * Repair one txid. `hooks` holds the hooks, extra `peers` and an
+ * optional AbortSignal `signal`; aborting it stops every request in flight and
+ * rejects with an error tagged `cancelled` (see cancel.mjs). A background job
+ * passes its `jobId`, so a failed repair keeps its download (see runRepair).
+ */
+export async function fixArweaveTx(txid, hooks = {}) {
+  const end = metrics.fixDuration.startTimer();
+  const deadline = repairDeadline(hooks.signal);
+  try {
+    const result = await fixTx(txid, { ...hooks, signal: deadline.signal });
+    metrics.fixes.inc({ outcome: result.status });
+    end({ outcome: result.status });
+    return result;
+  } catch (err) {
+    const outcome = err.cancelled ? 'cancelled' : 'error';
+    metrics.fixes.inc({ outcome });
+    end({ outcome });
+    throw err;
+  } finally {
+    deadline.clear();
+  }
+}
+
+async function fixTx(
+  txid,
+  {
+    peers = [],
+    jobId,
+    signal,
+    logger = console.log,
+    errorLogger = console.error,
+    onStage = () => {},
+    onProgress = () => {},
+    onEvent = () => {},
+  } = {}
+) {
+  // 1. Check if tx is already on Arweave or Irys
+  let bundleId;
+  let seeds;
+  onStage('check');
+  logger(`Checking Arweave for ${txid}`);
   try {
-    logger(`\nPolling Arweave for tx ${txid}...`);
-    await pollArweave(txid, { logger });
-    return { status: 'fixed' };
+    const res = await checkTx(txid, { signal });
+    onEvent({ type: 'check', txid, source: res.source, bundle_id: res.bundle_id });
+    if (res.source === 'arweave') {
+      logger(`Found on Arweave. No action needed.`);
+      return { status: 'already_on_arweave' };
+    }
+    if (res.source !== 'irys') {
+      logger(`Not found. No bundle available on Irys. Exiting.`);
+      return { status: 'not_found_on_irys' };
+    }
+    logger(`Not found. Checking Irys for bundle...`);
+    bundleId = res.bundle_id;
+    seeds = [...(res.seeds || []), ...peers];
   } catch (err) {
+    errorLogger('Failed to check bundle status:', err.message);
+    throw err;
+  }
+  logger(`Bundle id from Irys: ${bundleId}`);
+
+  // 2. Fetch chunks and 3. reupload
+  const { missing, expected, nodes, bytes, chunks } = await repairBundle(
+    bundleId,
+    { seeds, txids: [txid] },
+    { jobId, signal, logger, errorLogger, onStage, onProgress, onEvent }
+  );
+  if (missing.length) {
+    return { status: 'not_in_bundle', bundle_id: bundleId };
+  }
+
+  // 4. Poll the gateways until they serve the seeded data
+  onStage('poll');
+  logger(`\nPolling Arweave for tx ${txid}...`);
+  const { available, attempts, gateways } = (
+    await pollAvailability([txid], { expected, logger, onProgress, onEvent, signal })
+  ).get(txid);
+  if (!available) {
+    const err = new Error(`Gave up after ${attempts} attempts.`);
+    err.incomplete = true;
     errorLogger('\nPolling failed:', err.message);
     throw err;
   }
+  return { status: 'fixed', bundle_id: bundleId, bytes, chunks, nodes, gateways };
+}
+
+/**
+ * Repair many txids at once. Every txid is checked first, the ones Irys
+ * reports as bundled are grouped by bundle id, and each bundle is fetched
+ * and reuploaded only once before all member txids are polled together.
+ * Resolves to one result per (unique) txid, in input order; failures are
+ * reported per txid instead of rejecting the whole batch, with the error's
+ * `kind` (`network`, `incomplete` or `cancelled`) when it has one. As with
+ * fixArweaveTx(), `peers` are used alongside the seeds Irys reports. Once
+ * `signal` aborts (or the repair deadline passes), the txids not finished yet
+ * are reported with status `cancelled`.
+ */
+export async function fixArweaveTxBatch(txids, { signal, ...hooks } = {}) {
+  const deadline = repairDeadline(signal);
+  try {
+    return await fixBatch(txids, { ...hooks, signal: deadline.signal });
+  } finally {
+    deadline.clear();
+  }
+}
+
+// What kind of failure `err` is tagged as, if any (see cancel.mjs and the exit codes in cli.mjs)
+const failureKind = (err) => ['cancelled', 'network', 'incomplete'].find((kind) => err[kind]);
+
+// Per-txid result for a txid whose check or repair threw; `kind` keeps the
+// error's tag, which a thrown error would have carried for a single fix
+const failed = (err, bundleId) => ({
+  status: err.cancelled ? 'cancelled' : 'error',
+  ...(bundleId && { bundle_id: bundleId }),
+  error: err.message,
+  ...(failureKind(err) && { kind: failureKind(err) }),
+});
+
+async function fixBatch(
+  txids,
+  {
+    peers = [],
+    jobId,
+    signal,
+    logger = console.log,
+    errorLogger = console.error,
+    onStage = () => {},
+    onProgress = () => {},
+    onEvent = () => {},
+  } = {}
+) {
+  const unique = Array.from(new Set(txids.map((t) => t.trim()).filter(Boolean)));
+  const results = new Map();
+  const bundles = new Map(); // bundleId -> { txids: [], seeds: Set }
+
+  // 1. Check every txid and group the Irys ones by bundle
+  onStage('check');
+  logger(`Checking ${unique.length} tx(s)...`);
+  let checked = 0;
+  for (const txid of unique) {
+    try {
+      const res = await checkTx(txid, { signal });
+      onEvent({ type: 'check', txid, source: res.source, bundle_id: res.bundle_id });
+      if (res.source === 'arweave') {
+        logger(`${txid}: found on Arweave. No action needed.`);
+        results.set(txid, { status: 'already_on_arweave' });
+      } else if (res.source !== 'irys') {
+        logger(`${txid}: not found. No bundle available on Irys.`);
+        results.set(txid, { status: 'not_found_on_irys' });
+      } else {
+        logger(`${txid}: in bundle ${res.bundle_id}`);
+        if (!bundles.has(res.bundle_id)) {
+          bundles.set(res.bundle_id, { txids: [], seeds: new Set(peers) });
+        }
+        const group = bundles.get(res.bundle_id);
+        group.txids.push(txid);
+        for (const s of Array.isArray(res.seeds) ? res.seeds : []) group.seeds.add(s);
+      }
+    } catch (err) {
+      errorLogger(`${txid}: failed to check bundle status:`, err.message);
+      results.set(txid, failed(err));
+    }
+    onProgress({ done: ++checked, total: unique.length, unit: 'txs' });
+  }
+
+  // 2. Fetch and reupload each bundle once
+  const pending = [];
+  let bundleIndex = 0;
+  for (const [bundleId, group] of bundles) {
+    bundleIndex++;
+    logger(`\n[${bundleIndex}/${bundles.size}] Repairing bundle ${bundleId} for ${group.txids.length} tx(s)`);
+    try {
+      const { missing, expected, nodes, bytes, chunks } = await repairBundle(
+        bundleId,
+        { seeds: [...group.seeds], txids: group.txids },
+        { jobId, signal, logger, errorLogger, onStage, onProgress, onEvent }
+      );
+      for (const txid of group.txids) {
+        if (missing.includes(txid)) {
+          results.set(txid, { status: 'not_in_bundle', bundle_id: bundleId });
+        } else {
+          pending.push({ txid, bundleId, expected: expected.get(txid), bytes, chunks, nodes });
+        }
+      }
+    } catch (err) {
+      for (const txid of group.txids) results.set(txid, failed(err, bundleId));
+    }
+  }
+
+  // 3. Poll the gateways for every member of a repaired bundle
+  if (pending.length) {
+    onStage('poll');
+    logger(`\nPolling Arweave for ${pending.length} tx(s)...`);
+    const expected = new Map(pending.filter((p) => p.expected).map((p) => [p.txid, p.expected]));
+    let verified;
+    let cancelled = null;
+    try {
+      verified = await pollAvailability(
+        pending.map((p) => p.txid),
+        { expected, logger, onProgress, onEvent, signal }
+      );
+    } catch (err) {
+      if (!err.cancelled) throw err;
+      cancelled = err;
+    }
+    for (const { txid, bundleId, bytes, chunks, nodes } of pending) {
+      if (cancelled) {
+        results.set(txid, failed(cancelled, bundleId));
+        continue;
+      }
+      const { available, gateways } = verified.get(txid);
+      results.set(
+        txid,
+        available
+          ? { status: 'fixed', bundle_id: bundleId, bytes, chunks, nodes, gateways }
+          : {
+              status: 'error',
+              bundle_id: bundleId,
+              error: 'Not available on Arweave after polling.',
+              kind: 'incomplete',
+              gateways,
+            }
+      );
+    }
+  }
+
+  for (const { status } of results.values()) metrics.fixes.inc({ outcome: status });
+  return unique.map((txid) => ({ txid, ...results.get(txid) }));
+}
+
+// Txids separated by whitespace and/or commas
+export function parseTxidList(text) {
+  return text
+    .split(/[\s,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function readTxidFile(file) {
+  return parseTxidList(fs.readFileSync(file, 'utf8'));
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
   if (!args.length || args.includes('-h') || args.includes('--help')) {
-    console.log(`Usage: node ${path.basename(process.argv[1])} <txid>`);
+    console.log(`Usage: node ${path.basename(process.argv[1])} <txid> [txid...] [--file txids.txt]`);
     process.exit(1);
   }
-  fixArweaveTx(args[0], { logger: console.log, errorLogger: console.error }).catch(() => process.exit(1));
+  const txids = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--file') {
+      txids.push(...readTxidFile(args[++i]));
+    } else {
+      txids.push(args[i]);
+    }
+  }
+  if (txids.length === 1 && !args.includes('--file')) {
+    fixArweaveTx(txids[0], { logger: console.log, errorLogger: console.error }).catch(() => process.exit(1));
+  } else {
+    fixArweaveTxBatch(txids, { logger: console.log, errorLogger: console.error })
+      .then((results) => {
+        console.log(JSON.stringify(results, null, 2));
+        if (results.some((r) => r.status === 'error')) process.exit(1);
+      })
+      .catch((err) => {
+        console.error('ERROR:', err.message);
+        process.exit(1);
+      });
+  }
 }
@@ -1,52 +1,403 @@
 import express from 'express';
 import cors from 'cors';
-import { fixArweaveTx } from './fix.mjs';
+import { fixArweaveTx, fixArweaveTxBatch } from './fix.mjs';
+import { checkTx } from './check-irys-bundle.mjs';
+import { fetchTxMeta } from './fetch-irys.mjs';
+import { createAccessControl } from './auth.mjs';
+import { parseScanFilter, scanTxs } from './scan.mjs';
+import { diagnoseTx } from './diagnose.mjs';
+import { callbackUrlProblem, deliverWebhook, webhookPayload } from './webhooks.mjs';
+import { createJobManager } from './jobs.mjs';
+import { cancelledError } from './cancel.mjs';
+import { eventHooks, formatSSE, formatNDJSON } from './events.mjs';
+import { metricsRegistry } from './metrics.mjs';
+import { config } from './config.mjs';
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-app.get('/', (req, res) => {
-  res.json({ status: 'ok' });
+const toStdout = (...args) => process.stdout.write(args.join(' ') + '\n');
+const toStderr = (...args) => process.stderr.write(args.join(' ') + '\n');
+
+// Run a fix and, if the caller gave a callback URL, POST the outcome to it once
+// the fix ends, whether it succeeded or threw. Delivery runs in the background.
+async function fixWithCallback(txid, callbackUrl, hooks) {
+  if (!callbackUrl) return fixArweaveTx(txid, hooks);
+  const startedAt = new Date();
+  let bundleId = null;
+  const onEvent = (event) => {
+    if (event.type === 'check') bundleId = event.bundle_id;
+    if (hooks.onEvent) hooks.onEvent(event);
+  };
+  const notify = (outcome) =>
+    deliverWebhook(callbackUrl, webhookPayload({ txid, bundleId, startedAt, ...outcome }), {
+      logger: toStdout,
+      errorLogger: toStderr,
+    });
+  try {
+    const result = await fixArweaveTx(txid, { ...hooks, onEvent });
+    notify({ result });
+    return result;
+  } catch (err) {
+    notify({ error: err });
+    throw err;
+  }
+}
+
+const jobs = createJobManager({
+  handlers: {
+    fix: ({ txid, callbackUrl }, hooks) => fixWithCallback(txid, callbackUrl, hooks),
+    batch: ({ txids }, hooks) => fixArweaveTxBatch(txids, hooks),
+  },
 });
 
-// /fix endpoint streams logs as text/plain to the client in real time, concurrency-safe
-app.post('/fix', async (req, res) => {
-  const { txid } = req.body;
-  if (!txid) {
-    res.status(400).type('text').end('Missing txid\n');
+const access = createAccessControl();
+const guarded = [access.authenticate, access.rateLimit];
+
+// Requests opt into a background job with `"async": true` in the body or `?async=true`
+const wantsAsync = (req) =>
+  (req.body && req.body.async === true) || req.query.async === 'true' || req.query.async === '1';
+
+// Start (or resume) a background job that holds a repair slot until it
+// finishes; the slot is given back at once if the job cannot be started
+async function holdSlot(start, release) {
+  let job;
+  try {
+    job = await start();
+  } catch (err) {
+    release();
+    throw err;
+  }
+  jobs.settled(job.id).finally(release);
+  return job;
+}
+
+async function startJob(req, res, type, params, release) {
+  let job;
+  try {
+    job = await holdSlot(() => jobs.start(type, params, { owner: req.client.id }), release);
+  } catch (err) {
+    res.status(500).json({ error: `Could not start job: ${err.message}` });
     return;
   }
+  res.status(202).json({ id: job.id, status: job.status, url: `/jobs/${job.id}` });
+}
+
+// Size of a bundle from its tx header, or null if the header cannot be read
+const bundleSize = (bundleId) =>
+  fetchTxMeta(bundleId, [config.arweaveGateway]).then(
+    (meta) => meta.size,
+    () => null
+  );
+
+// First bundle behind `txids` that is larger than `maxBytes`, if any. Txids
+// that are not (yet) in an Irys bundle, or whose bundle header cannot be read,
+// are let through: the repair itself reports those.
+async function findOversizedBundle(txids, maxBytes) {
+  const seen = new Set();
+  for (const txid of txids) {
+    const res = await checkTx(txid).catch(() => null);
+    if (!res || res.source !== 'irys' || seen.has(res.bundle_id)) continue;
+    seen.add(res.bundle_id);
+    const size = await bundleSize(res.bundle_id);
+    if (size > maxBytes) return { txid, bundleId: res.bundle_id, size };
+  }
+  return null;
+}
+
+// Take a repair slot for the client and check bundle sizes. Resolves to the
+// slot's release(), or null once the request has been rejected (429 / 413).
+async function admitRepair(req, res, txids) {
+  const { limits } = req.client;
+  const release = access.acquireSlot(req.client);
+  if (!release) {
+    access.reject(res, 429, `Too many repairs in progress for this client (limit ${limits.maxConcurrentRepairs})`);
+    return null;
+  }
+  if (limits.maxBundleBytes) {
+    const oversized = await findOversizedBundle(txids, limits.maxBundleBytes);
+    if (oversized) {
+      release();
+      access.reject(
+        res,
+        413,
+        `Bundle ${oversized.bundleId} of ${oversized.txid} is ${oversized.size} bytes; the limit for this client is ${limits.maxBundleBytes} bytes`
+      );
+      return null;
+    }
+  }
+  return release;
+}
+
+app.get('/', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Prometheus scrape endpoint (see metrics.mjs for what is recorded)
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metricsRegistry.render());
+});
+
+// A signal that aborts when the client goes away before its response has been
+// sent, so a repair nobody is listening to any more stops (see cancel.mjs)
+function disconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(cancelledError('Cancelled: client disconnected'));
+  });
+  return controller.signal;
+}
+
+// Start a chunked text/plain response and return per-request logger functions
+// that write to it as well as to the process output.
+function streamLogs(res) {
   res.setHeader('Content-Type', 'text/plain; charset=utf-8');
   res.setHeader('Transfer-Encoding', 'chunked');
 
-  // Per-request logger functions
   const logger = (...args) => {
-    const msg = args.join(' ') + '\n';
-    res.write(msg);
-    process.stdout.write(msg);
+    res.write(args.join(' ') + '\n');
+    toStdout(...args);
   };
   const errorLogger = (...args) => {
-    const msg = args.join(' ') + '\n';
-    res.write(msg);
-    process.stderr.write(msg);
+    res.write(args.join(' ') + '\n');
+    toStderr(...args);
   };
+  return {
+    hooks: { logger, errorLogger },
+    done: (result) => res.end('\nDONE: ' + JSON.stringify(result) + '\n'),
+    fail: (err) => res.end('\nERROR: ' + err.message + '\n'),
+  };
+}
+
+// Stream typed events (see events.mjs) as Server-Sent Events or NDJSON. The
+// stream ends with a `result` or `error` event.
+function streamEvents(res, format) {
+  const sse = format === 'sse';
+  res.setHeader('Content-Type', sse ? 'text/event-stream' : 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+
+  const hooks = eventHooks((event) => res.write(sse ? formatSSE(event) : formatNDJSON(event)), {
+    logger: toStdout,
+    errorLogger: toStderr,
+  });
+  return {
+    hooks,
+    done: (result) => {
+      hooks.onEvent({ type: 'result', result });
+      res.end();
+    },
+    fail: (err) => {
+      hooks.onEvent({ type: 'error', message: err.message, ...(err.cancelled && { cancelled: true }) });
+      res.end();
+    },
+  };
+}
+
+// Pick the streaming format from the Accept header; plain text unless the
+// client asks for text/event-stream or (x-)ndjson.
+function streamResponse(req, res) {
+  const accept = req.get('accept') || '';
+  if (accept.includes('text/event-stream')) return streamEvents(res, 'sse');
+  if (/application\/(x-)?ndjson/.test(accept)) return streamEvents(res, 'ndjson');
+  return streamLogs(res);
+}
+
+// /fix endpoint streams logs to the client in real time, concurrency-safe: plain
+// text by default, typed events with `Accept: text/event-stream` or `application/x-ndjson`
+app.post('/fix', ...guarded, async (req, res) => {
+  const { txid, callbackUrl } = req.body || {};
+  if (!txid) {
+    res.status(400).type('text').end('Missing txid\n');
+    return;
+  }
+  const problem = callbackUrl !== undefined && (await callbackUrlProblem(callbackUrl));
+  if (problem) {
+    res.status(400).type('text').end(`Invalid callbackUrl (${problem})\n`);
+    return;
+  }
+  if (callbackUrl && !config.webhookSecret) {
+    res.status(400).type('text').end('callbackUrl is not supported: no webhook secret is configured\n');
+    return;
+  }
+  const release = await admitRepair(req, res, [txid]);
+  if (!release) return;
+  if (wantsAsync(req)) {
+    await startJob(req, res, 'fix', { txid, callbackUrl }, release);
+    return;
+  }
+  const stream = streamResponse(req, res);
+  const signal = disconnectSignal(res);
+
+  try {
+    stream.done(await fixWithCallback(txid, callbackUrl, { ...stream.hooks, signal }));
+  } catch (e) {
+    stream.fail(e);
+  } finally {
+    release();
+  }
+});
+
+// /fix/batch takes { txids: [...] }, repairs each affected bundle once and
+// finishes with a DONE line (or `result` event) holding one result per txid
+app.post('/fix/batch', ...guarded, async (req, res) => {
+  const { txids } = req.body || {};
+  if (!Array.isArray(txids) || !txids.length || !txids.every((t) => typeof t === 'string')) {
+    res.status(400).type('text').end('Missing txids (expected a non-empty array of strings)\n');
+    return;
+  }
+  const release = await admitRepair(req, res, txids);
+  if (!release) return;
+  if (wantsAsync(req)) {
+    await startJob(req, res, 'batch', { txids }, release);
+    return;
+  }
+  const stream = streamResponse(req, res);
+  const signal = disconnectSignal(res);
 
   try {
-    const result = await fixArweaveTx(txid, { logger, errorLogger });
-    res.write('\nDONE: ' + JSON.stringify(result) + '\n');
-    res.end();
+    stream.done(await fixArweaveTxBatch(txids, { ...stream.hooks, signal }));
   } catch (e) {
-    res.write('\nERROR: ' + e.message + '\n');
-    res.end();
+    stream.fail(e);
+  } finally {
+    release();
+  }
+});
+
+// Queue a background batch job for the items a scan found, leaving out bundles
+// over the client's size limit. Returns what was queued (or why nothing was).
+async function queueScanRepairs(client, report) {
+  const { maxBundleBytes, maxConcurrentRepairs } = client.limits;
+  const txids = [];
+  const skipped = [];
+  for (const bundle of report.bundles) {
+    const size = maxBundleBytes ? await bundleSize(bundle.bundle_id) : null;
+    if (size > maxBundleBytes) skipped.push({ bundle_id: bundle.bundle_id, size, reason: 'bundle too large' });
+    else txids.push(...bundle.txids);
+  }
+  if (!txids.length) return { queued: 0, skipped };
+  const release = access.acquireSlot(client);
+  if (!release) {
+    return {
+      queued: 0,
+      skipped,
+      error: `Too many repairs in progress for this client (limit ${maxConcurrentRepairs})`,
+    };
+  }
+  const job = await holdSlot(() => jobs.start('batch', { txids }, { owner: client.id }), release);
+  return { queued: txids.length, skipped, id: job.id, url: `/jobs/${job.id}` };
+}
+
+// /scan takes a filter ({ owner, tags, since, until, limit }), checks every
+// matching data item and finishes with a report of the ones needing a repair,
+// grouped by bundle. With `"queue": true` they are queued as a background job.
+// `limit` is capped at SCAN_MAX_LIMIT, and the scan holds one of the client's
+// repair slots until it has checked everything (or the client disconnects).
+app.post('/scan', ...guarded, async (req, res) => {
+  let filter;
+  try {
+    filter = parseScanFilter(req.body || {}, { maxLimit: config.scanMaxLimit });
+  } catch (err) {
+    res.status(400).type('text').end(`${err.message}\n`);
+    return;
+  }
+  const release = await admitRepair(req, res, []);
+  if (!release) return;
+  const stream = streamResponse(req, res);
+  const signal = disconnectSignal(res);
+
+  try {
+    const report = await scanTxs(filter, { ...stream.hooks, signal });
+    // The job takes a slot of its own
+    release();
+    if (req.body.queue === true) report.job = await queueScanRepairs(req.client, report);
+    stream.done(report);
+  } catch (e) {
+    stream.fail(e);
+  } finally {
+    release();
+  }
+});
+
+// Read-only diagnosis of why a tx is unavailable, with the recommended action
+// (see diagnose.mjs). It probes a sample of the bundle's chunks, and counts
+// against the same slot and bundle size limits as a repair.
+app.get('/status/:txid', ...guarded, async (req, res) => {
+  const release = await admitRepair(req, res, [req.params.txid]);
+  if (!release) return;
+  const signal = disconnectSignal(res);
+  try {
+    res.json(await diagnoseTx(req.params.txid, { sampleChunks: config.statusSampleChunks, logger: toStdout, signal }));
+  } catch (err) {
+    if (!signal.aborted) res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// The job behind /jobs/:id, or null once it has answered 404. With API keys a
+// client only sees the jobs it started; other clients' jobs do not exist for it.
+async function findJob(req, res) {
+  const job = await jobs.get(req.params.id);
+  if (!job || (access.enabled && job.owner !== req.client.id)) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+// Current stage, progress, result and recent logs of a background job
+app.get('/jobs/:id', access.authenticate, async (req, res) => {
+  const job = await findJob(req, res);
+  if (job) res.json(job);
+});
+
+// Continue an unfinished job that is not running in this process (e.g. after a restart)
+app.post('/jobs/:id/resume', ...guarded, async (req, res) => {
+  const existing = await findJob(req, res);
+  if (!existing) return;
+  let job = existing;
+  if (!existing.active && ['queued', 'running'].includes(existing.status)) {
+    const release = access.acquireSlot(req.client);
+    if (!release) {
+      access.reject(
+        res,
+        429,
+        `Too many repairs in progress for this client (limit ${req.client.limits.maxConcurrentRepairs})`
+      );
+      return;
+    }
+    job = await holdSlot(() => jobs.resume(req.params.id), release);
+  }
+  res.status(202).json({ id: job.id, status: job.status, url: `/jobs/${job.id}` });
+});
+
+// Cancel an unfinished job: its requests in flight are aborted and it ends with
+// status `cancelled`. Responds once the job has stopped.
+app.delete('/jobs/:id', access.authenticate, async (req, res) => {
+  const existing = await findJob(req, res);
+  if (!existing) return;
+  if (!['queued', 'running'].includes(existing.status)) {
+    res.status(409).json({ error: `Job already ${existing.status}` });
+    return;
   }
+  const job = await jobs.cancel(req.params.id, 'Cancelled by DELETE /jobs/:id');
+  res.json({ id: job.id, status: job.status, url: `/jobs/${job.id}` });
 });
 
 export { app };
 
 if ((typeof require !== 'undefined' && require.main === module) || process.env.LOCAL_DEV) {
-  const PORT = process.env.PORT || 3000;
+  const PORT = config.port;
   app.listen(PORT, () => {
     console.log(`Backfill-from-Irys API listening on port ${PORT}`);
   });
+  jobs
+    .resumeUnfinished()
+    .then((ids) => {
+      if (ids.length) console.log(`Resumed ${ids.length} unfinished job(s): ${ids.join(', ')}`);
+    })
+    .catch((err) => console.error('Failed to resume unfinished jobs:', err.message));
 }
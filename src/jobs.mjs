@@ -0,0 +1,251 @@
+/*
+ * jobs.mjs
+ * ---------------------------------------------
+ * Background repair jobs with persistent state.
+ *
+ * A job records what was asked for (params), where the repair currently is
+ * (stage + progress), the tail of its log and the final result. Job state is
+ * kept in a pluggable store so that it survives a restart; the default store
+ * writes one JSON file per job into JOBS_DIR (default WORK_DIR/backfill-jobs),
+ * which is only created once the first job is saved.
+ *
+ * cancel(id) aborts a running job through the `signal` in its hooks (see
+ * cancel.mjs); the job then ends with status `cancelled`.
+ *
+ * A store is any object with:
+ *   get(id)     -> Promise<job | null>
+ *   save(job)   -> Promise<void>
+ *   list()      -> Promise<job[]>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { cancelledError } from './cancel.mjs';
+import { workRoot } from './artifacts.mjs';
+import { config } from './config.mjs';
+
+const MAX_LOG_LINES = 500;
+const SAVE_THROTTLE_MS = 1000;
+
+const UNFINISHED = new Set(['queued', 'running']);
+
+// ------------------------------ STORES --------------------------------------
+export const defaultJobsDir = () => config.jobsDir || path.join(workRoot(), 'backfill-jobs');
+
+export function createFileJobStore(dir = defaultJobsDir()) {
+  const root = path.resolve(dir);
+  const fileFor = (id) => path.join(root, `${id}.json`);
+
+  return {
+    async get(id) {
+      if (!/^[\w-]+$/.test(id)) return null;
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async save(job) {
+      // Write then rename so a crash never leaves a half-written job file
+      // Made on the first save, so merely loading the server writes nothing
+      await fs.promises.mkdir(root, { recursive: true });
+      const tmp = `${fileFor(job.id)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(job, null, 2));
+      await fs.promises.rename(tmp, fileFor(job.id));
+    },
+    async list() {
+      let files = [];
+      try {
+        files = (await fs.promises.readdir(root)).filter((f) => f.endsWith('.json'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      const jobs = [];
+      for (const f of files) {
+        try {
+          jobs.push(JSON.parse(await fs.promises.readFile(path.join(root, f), 'utf8')));
+        } catch (err) {
+          // skip unreadable entries
+        }
+      }
+      return jobs;
+    },
+  };
+}
+
+export function createMemoryJobStore() {
+  const jobs = new Map();
+  const clone = (job) => JSON.parse(JSON.stringify(job));
+  return {
+    async get(id) {
+      return jobs.has(id) ? clone(jobs.get(id)) : null;
+    },
+    async save(job) {
+      jobs.set(job.id, clone(job));
+    },
+    async list() {
+      return [...jobs.values()].map(clone);
+    },
+  };
+}
+
+// ------------------------------ MANAGER -------------------------------------
+/**
+ * Create a job manager on top of a store.
+ *
+ * `handlers` maps a job type to `async (params, hooks) => result`, where hooks
+ * are `{ jobId, signal, logger, errorLogger, onStage, onProgress }`. A handler
+ * that throws marks the job as failed, or as cancelled once `signal` has aborted.
+ */
+export function createJobManager({ store = createFileJobStore(), handlers }) {
+  const active = new Map(); // id -> promise, for jobs running in this process
+  const controllers = new Map(); // id -> AbortController of a running job
+
+  function run(job) {
+    let lastSave = 0;
+    let saveTimer = null;
+    const persist = (force = false) => {
+      job.updatedAt = new Date().toISOString();
+      const now = Date.now();
+      clearTimeout(saveTimer);
+      if (force || now - lastSave >= SAVE_THROTTLE_MS) {
+        lastSave = now;
+        return store.save(job).catch((err) => console.error(`Failed to save job ${job.id}:`, err.message));
+      }
+      saveTimer = setTimeout(() => persist(true), SAVE_THROTTLE_MS);
+      return Promise.resolve();
+    };
+    const append = (level, args) => {
+      job.logs.push({ time: new Date().toISOString(), level, msg: args.join(' ') });
+      if (job.logs.length > MAX_LOG_LINES) job.logs.splice(0, job.logs.length - MAX_LOG_LINES);
+      persist();
+    };
+    const controller = new AbortController();
+    const hooks = {
+      jobId: job.id,
+      signal: controller.signal,
+      logger: (...args) => append('info', args),
+      errorLogger: (...args) => append('error', args),
+      onStage: (stage) => {
+        job.stage = stage;
+        job.progress = null;
+        persist(true);
+      },
+      onProgress: (progress) => {
+        job.progress = progress;
+        persist();
+      },
+    };
+
+    const promise = (async () => {
+      job.status = 'running';
+      job.attempts += 1;
+      job.startedAt = new Date().toISOString();
+      await persist(true);
+      try {
+        job.result = await handlers[job.type](job.params, hooks);
+        job.status = controller.signal.aborted ? 'cancelled' : 'succeeded';
+      } catch (err) {
+        job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+        job.error = err.message;
+      }
+      job.finishedAt = new Date().toISOString();
+      clearTimeout(saveTimer);
+      await persist(true);
+      active.delete(job.id);
+      controllers.delete(job.id);
+      return job;
+    })();
+    active.set(job.id, promise);
+    controllers.set(job.id, controller);
+    return promise;
+  }
+
+  return {
+    /**
+     * Create and start a job; resolves once it is persisted, not when it finishes.
+     * `owner` identifies the client that started it (see auth.mjs), if any.
+     */
+    async start(type, params, { owner = null } = {}) {
+      if (!handlers[type]) throw new Error(`Unknown job type: ${type}`);
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        owner,
+        status: 'queued',
+        stage: null,
+        progress: null,
+        attempts: 0,
+        result: null,
+        error: null,
+        logs: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      await store.save(job);
+      run(job);
+      return job;
+    },
+
+    async get(id) {
+      const job = await store.get(id);
+      if (job) job.active = active.has(id);
+      return job;
+    },
+
+    /** Resolves once the job stops running in this process (at once if it is not running here). */
+    settled(id) {
+      return active.get(id) || Promise.resolve(null);
+    },
+
+    /** Re-run a queued/running job that is not active in this process (e.g. after a restart). */
+    async resume(id) {
+      const job = await store.get(id);
+      if (!job) return null;
+      if (active.has(id) || !UNFINISHED.has(job.status)) return job;
+      job.logs.push({
+        time: new Date().toISOString(),
+        level: 'info',
+        msg: `Resuming job (attempt ${job.attempts + 1})`,
+      });
+      run(job);
+      return job;
+    },
+
+    /**
+     * Cancel an unfinished job. A job running here is aborted and resolves once
+     * it has stopped; one that is not (e.g. left over from a restart) is only
+     * marked cancelled so it is not resumed. Resolves to the job, or null if
+     * there is none.
+     */
+    async cancel(id, reason = 'Cancelled') {
+      if (controllers.has(id)) {
+        controllers.get(id).abort(cancelledError(reason));
+        return active.get(id);
+      }
+      const job = await store.get(id);
+      if (!job || !UNFINISHED.has(job.status)) return job;
+      job.status = 'cancelled';
+      job.error = reason;
+      job.finishedAt = job.updatedAt = new Date().toISOString();
+      await store.save(job);
+      return job;
+    },
+
+    /** Resume every unfinished job found in the store. Returns the resumed ids. */
+    async resumeUnfinished() {
+      const ids = [];
+      for (const job of await store.list()) {
+        if (UNFINISHED.has(job.status) && !active.has(job.id)) {
+          await this.resume(job.id);
+          ids.push(job.id);
+        }
+      }
+      return ids;
+    },
+  };
+}
@@ -0,0 +1,147 @@
+/*
+ * metrics.mjs
+ * ---------------------------------------------
+ * Process-wide counters and histograms for repair operations, rendered in the
+ * Prometheus text exposition format (served at GET /metrics by index.mjs).
+ *
+ * The modules doing the work record into the shared metrics below; nothing
+ * is sent anywhere, a Prometheus server scrapes the endpoint.
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60, 120, 300, 600];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+// Key for a label set, in the metric's label order so {a,b} and {b,a} match
+const keyFor = (labelNames, labels) => JSON.stringify(labelNames.map((n) => labels[n] ?? ''));
+
+function pick(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((n) => [n, labels[n] ?? '']));
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  return {
+    /** Monotonic counter: inc(labels?, value = 1). */
+    counter(name, help, labelNames = []) {
+      const series = new Map(); // key -> { labels, value }
+      const metric = {
+        inc(labels = {}, value = 1) {
+          const key = keyFor(labelNames, labels);
+          if (!series.has(key)) series.set(key, { labels: pick(labelNames, labels), value: 0 });
+          series.get(key).value += value;
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+          for (const { labels, value } of series.values()) lines.push(`${name}${labelString(labels)} ${value}`);
+          return lines.join('\n');
+        },
+      };
+      if (!labelNames.length) metric.inc({}, 0); // unlabelled series start at 0
+      metrics.push(metric);
+      return metric;
+    },
+
+    /** Histogram of seconds (or any unit): observe(labels, value), or startTimer(labels) -> end(moreLabels?). */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = new Map(); // key -> { labels, counts, sum, count }
+      const seriesFor = (labels) => {
+        const key = keyFor(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels: pick(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        return series.get(key);
+      };
+      const metric = {
+        observe(labels = {}, value) {
+          const s = seriesFor(labels);
+          buckets.forEach((le, i) => {
+            if (value <= le) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+        startTimer(labels = {}) {
+          const started = process.hrtime.bigint();
+          return (more = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            metric.observe({ ...labels, ...more }, seconds);
+            return seconds;
+          };
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          for (const { labels, counts, sum, count } of series.values()) {
+            buckets.forEach((le, i) => lines.push(`${name}_bucket${labelString({ ...labels, le })} ${counts[i]}`));
+            lines.push(`${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${name}_sum${labelString(labels)} ${sum}`);
+            lines.push(`${name}_count${labelString(labels)} ${count}`);
+          }
+          return lines.join('\n');
+        },
+      };
+      if (!labelNames.length) seriesFor({});
+      metrics.push(metric);
+      return metric;
+    },
+
+    /** Everything, in the text exposition format. */
+    render() {
+      return metrics.map((m) => m.render()).join('\n') + '\n';
+    },
+  };
+}
+
+// ------------------------------ REPAIR METRICS ------------------------------
+export const metricsRegistry = createMetricsRegistry();
+
+export const metrics = {
+  // outcome: already_on_arweave | not_found_on_irys | not_in_bundle | fixed | error | cancelled
+  fixes: metricsRegistry.counter('backfill_fix_total', 'Fix attempts by outcome', ['outcome']),
+  fixDuration: metricsRegistry.histogram('backfill_fix_duration_seconds', 'Time taken by a single-tx fix, by outcome', [
+    'outcome',
+  ]),
+  // result: ok | error | store (restored from the artifact store)
+  fetchDuration: metricsRegistry.histogram(
+    'backfill_fetch_duration_seconds',
+    'Time taken to fetch a tx from Arweave peers',
+    ['result']
+  ),
+  // source: arweave | irys | cache (the local chunk cache)
+  bytesFetched: metricsRegistry.counter('backfill_fetched_bytes_total', 'Bytes of tx data fetched', ['source']),
+  chunksFetched: metricsRegistry.counter('backfill_fetched_chunks_total', 'Chunks fetched from Arweave peers'),
+  // result: hit | miss | bad (a cached chunk that no longer verified)
+  chunkCacheLookups: metricsRegistry.counter('backfill_chunk_cache_lookups_total', 'Local chunk cache lookups', [
+    'result',
+  ]),
+  bytesUploaded: metricsRegistry.counter('backfill_uploaded_bytes_total', 'Bytes of chunk data seeded to a quorum'),
+  chunksUploaded: metricsRegistry.counter('backfill_uploaded_chunks_total', 'Chunks seeded to a quorum of nodes'),
+  uploadRetries: metricsRegistry.counter('backfill_upload_retries_total', 'Chunk upload retries'),
+  coalescedRepairs: metricsRegistry.counter(
+    'backfill_coalesced_repairs_total',
+    'Bundle repairs that attached to one already in progress instead of starting their own'
+  ),
+  // op: offset | chunk | upload; result: ok | not_found | bad_chunk | error
+  peerRequests: metricsRegistry.counter('backfill_peer_requests_total', 'Requests to Arweave peers by outcome', [
+    'peer',
+    'op',
+    'result',
+  ]),
+  timeToAvailable: metricsRegistry.histogram(
+    'backfill_poll_time_to_available_seconds',
+    'Time from the start of polling until a repaired tx is served by the gateway',
+    [],
+    [10, 30, 60, 120, 300, 600, 900, 1800]
+  ),
+  pollGaveUp: metricsRegistry.counter('backfill_poll_gave_up_total', 'Txs still unavailable when polling stopped'),
+  // result: delivered | rejected (4xx) | failed (out of attempts)
+  webhookDeliveries: metricsRegistry.counter('backfill_webhook_deliveries_total', 'Webhook deliveries by outcome', [
+    'result',
+  ]),
+};
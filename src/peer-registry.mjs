@@ -0,0 +1,221 @@
+/*
+ * peer-registry.mjs
+ * ---------------------------------------------
+ * Keeps track of Arweave peers: where they came from, how fast they answer,
+ * how often they succeed and how often they 404. Peers are ranked by that
+ * record so the healthiest are tried first, and a peer that keeps failing is
+ * taken out of rotation for a cool-down period (circuit breaker).
+ *
+ * What the registry learns is saved to a small JSON file (PEER_CACHE_FILE,
+ * default WORK_DIR/backfill-peer-cache.json) and loaded again on the next run,
+ * so discovered peers and their health carry over between runs. Within a
+ * process, sharedPeerRegistry() hands every fetch and upload the same registry,
+ * so concurrent repairs add to one record instead of overwriting each other's.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { throwIfAborted } from './cancel.mjs';
+import { workRoot } from './artifacts.mjs';
+import { config } from './config.mjs';
+
+const LATENCY_SMOOTHING = 0.3; // weight of the newest sample in the latency average
+
+export const defaultPeerCacheFile = () => config.peerCacheFile || path.join(workRoot(), 'backfill-peer-cache.json');
+
+export function normalisePeer(p) {
+  let url = p.trim();
+  if (!url) return null;
+  if (!/^https?:\/\//i.test(url)) {
+    // If includes port assume http
+    url = `http://${url}`;
+  }
+  // Drop trailing slash
+  url = url.replace(/\/$/, '');
+  return url;
+}
+
+function emptyStats() {
+  return {
+    successes: 0,
+    failures: 0,
+    notFound: 0,
+    consecutiveFailures: 0,
+    latencyMs: null,
+    openUntil: 0,
+    lastSeen: null,
+  };
+}
+
+/**
+ * Create a peer registry.
+ *
+ * Options:
+ *   cacheFile         where to persist peers (null disables persistence)
+ *   failureThreshold  consecutive failures (not 404s) that open a peer's circuit
+ *   cooldownMs        how long an open circuit keeps the peer out of rotation
+ */
+export function createPeerRegistry({
+  cacheFile = defaultPeerCacheFile(),
+  failureThreshold = 5,
+  cooldownMs = 10 * 60 * 1000,
+} = {}) {
+  const peers = new Map(); // url -> stats
+
+  if (cacheFile) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      for (const [url, stats] of Object.entries(saved.peers || {})) {
+        peers.set(url, { ...emptyStats(), ...stats });
+      }
+    } catch (err) {
+      // no cache yet
+    }
+  }
+
+  const statsFor = (peer) => {
+    if (!peers.has(peer)) peers.set(peer, emptyStats());
+    return peers.get(peer);
+  };
+
+  // Higher is better: smoothed success rate (404s count half), minus a latency penalty.
+  const score = (peer) => {
+    const s = peers.get(peer) || emptyStats();
+    const successRate = (s.successes + 1) / (s.successes + s.failures + s.notFound * 0.5 + 2);
+    const latencyPenalty = s.latencyMs === null ? 0.05 : Math.min(s.latencyMs / 20000, 0.5);
+    return successRate - latencyPenalty;
+  };
+
+  const isAvailable = (peer) => (peers.get(peer)?.openUntil || 0) <= Date.now();
+
+  return {
+    /** Register peers (without changing their stats). Returns the normalised urls. */
+    add(list) {
+      const out = [];
+      for (const p of list || []) {
+        const norm = normalisePeer(p);
+        if (!norm) continue;
+        statsFor(norm);
+        out.push(norm);
+      }
+      return out;
+    },
+
+    /** All known peers. */
+    list() {
+      return [...peers.keys()];
+    },
+
+    /**
+     * Order `list` (default: every known peer) best-first, leaving out peers
+     * whose circuit is open. If every peer is open, all are returned so a
+     * fetch still has something to try.
+     */
+    rank(list = [...peers.keys()]) {
+      const unique = Array.from(new Set(list.map(normalisePeer).filter(Boolean)));
+      const available = unique.filter(isAvailable);
+      const pool = available.length ? available : unique;
+      return pool
+        .map((p, i) => ({ p, i, s: score(p) }))
+        .sort((a, b) => b.s - a.s || a.i - b.i)
+        .map(({ p }) => p);
+    },
+
+    recordSuccess(peer, latencyMs) {
+      const s = statsFor(peer);
+      s.successes++;
+      s.consecutiveFailures = 0;
+      s.openUntil = 0;
+      s.lastSeen = new Date().toISOString();
+      if (typeof latencyMs === 'number') {
+        s.latencyMs = s.latencyMs === null ? latencyMs : s.latencyMs + LATENCY_SMOOTHING * (latencyMs - s.latencyMs);
+      }
+    },
+
+    /** `notFound` marks a 404: the peer answered but does not hold the data. */
+    recordFailure(peer, { notFound = false } = {}) {
+      const s = statsFor(peer);
+      if (notFound) {
+        s.notFound++;
+        s.lastSeen = new Date().toISOString();
+        return;
+      }
+      s.failures++;
+      s.consecutiveFailures++;
+      if (s.consecutiveFailures >= failureThreshold) {
+        s.openUntil = Date.now() + cooldownMs;
+      }
+    },
+
+    isAvailable,
+
+    stats(peer) {
+      return peer ? { ...(peers.get(peer) || emptyStats()), score: score(peer) } : Object.fromEntries(peers);
+    },
+
+    /**
+     * Crawl /peers starting from `seedPeers`, registering up to `maxPeers`
+     * peers. Only the first `maxQueries` reachable peers are asked for their
+     * peer lists, since a single node usually knows hundreds. Aborting
+     * `signal` stops the crawl with its reason.
+     */
+    async discover(
+      seedPeers,
+      { timeout = 5000, maxPeers = 500, maxQueries = 10, verbose = false, logger = console.log, signal } = {}
+    ) {
+      const visited = new Set();
+      const queue = seedPeers.map(normalisePeer).filter(Boolean);
+      let queries = 0;
+      while (queue.length && visited.size < maxPeers) {
+        const peer = queue.shift();
+        if (visited.has(peer)) continue;
+        visited.add(peer);
+        statsFor(peer);
+        if (queries >= maxQueries) continue;
+        queries++;
+        if (verbose) logger(`[peers] visiting ${peer}`);
+        const started = Date.now();
+        try {
+          const arr = await axios.get(`${peer}/peers`, { timeout, signal }).then((r) => r.data);
+          this.recordSuccess(peer, Date.now() - started);
+          for (const cand of Array.isArray(arr) ? arr : []) {
+            const c = normalisePeer(String(cand));
+            if (c && !visited.has(c) && !queue.includes(c) && visited.size + queue.length < maxPeers) {
+              queue.push(c);
+            }
+          }
+        } catch (err) {
+          throwIfAborted(signal);
+          this.recordFailure(peer, { notFound: err.response && err.response.status === 404 });
+          if (verbose) logger(`[peers] ${peer} /peers failed: ${err.message}`);
+        }
+      }
+      return [...visited];
+    },
+
+    /** Persist to `cacheFile`. A failed write is logged, never thrown: it only costs the next run its head start. */
+    save({ errorLogger = console.error } = {}) {
+      if (!cacheFile) return;
+      const tmp = `${cacheFile}.${process.pid}.tmp`;
+      try {
+        fs.mkdirSync(path.dirname(path.resolve(cacheFile)), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), peers: Object.fromEntries(peers) }));
+        fs.renameSync(tmp, cacheFile);
+      } catch (err) {
+        fs.rm(tmp, { force: true }, () => {});
+        errorLogger(`Could not save peer cache ${cacheFile}: ${err.message}`);
+      }
+    },
+  };
+}
+
+// One registry per cache file in this process
+const shared = new Map();
+
+/** The registry for `cacheFile` (default PEER_CACHE_FILE) shared by everything in this process. */
+export function sharedPeerRegistry({ cacheFile = defaultPeerCacheFile() } = {}) {
+  const key = cacheFile ? path.resolve(cacheFile) : null;
+  if (!shared.has(key)) shared.set(key, createPeerRegistry({ cacheFile }));
+  return shared.get(key);
+}
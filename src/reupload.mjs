@@ -1,109 +1,317 @@
-import Arweave from 'arweave';
+import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import { validatePath } from 'arweave/node/lib/merkle.js';
 import * as ArweaveUtils from 'arweave/node/lib/utils.js';
+import { buildTreeFromFile, proofFor, readRange } from './chunk-layout.mjs';
+import { probeCoverage, formatCoverageReport } from './coverage.mjs';
+import { sharedPeerRegistry } from './peer-registry.mjs';
+import { createNoArtifactStore, restoreArtifact } from './artifacts.mjs';
+import { sleep, throwIfAborted } from './cancel.mjs';
+import { metrics } from './metrics.mjs';
+import { config } from './config.mjs';
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// POST one chunk to every node that has not accepted it yet. Nodes that accept
+// (200, or 208 Already Reported) are added to `accepted`; per-node counts are
+// kept in `perNode`. Returns { node, status, error } for each node that did not
+// accept (status is null for network errors). Requests cut short by `signal`
+// are not held against the nodes.
+async function broadcastChunk(nodes, chunkObj, accepted, perNode, registry, signal) {
+  const pending = nodes.filter((n) => !accepted.has(n));
+  const errors = [];
+  await Promise.all(
+    pending.map(async (node) => {
+      const started = Date.now();
+      try {
+        const resp = await axios.post(`${node}/chunk`, chunkObj, {
+          timeout: config.uploadTimeoutMs,
+          validateStatus: () => true,
+          signal,
+        });
+        if (resp.status === 200 || resp.status === 208) {
+          accepted.add(node);
+          perNode[node].accepted++;
+          registry.recordSuccess(node, Date.now() - started);
+          metrics.peerRequests.inc({ peer: node, op: 'upload', result: 'ok' });
+          return;
+        }
+        perNode[node].failed++;
+        metrics.peerRequests.inc({ peer: node, op: 'upload', result: 'error' });
+        errors.push({ node, status: resp.status, error: `status ${resp.status} ${JSON.stringify(resp.data)}` });
+      } catch (err) {
+        if (signal && signal.aborted) return;
+        // Network error: counts against the node's health, unlike a rejection
+        perNode[node].failed++;
+        registry.recordFailure(node);
+        metrics.peerRequests.inc({ peer: node, op: 'upload', result: 'error' });
+        errors.push({ node, status: null, error: err.message });
+      }
+    })
+  );
+  return errors;
+}
+
+// Upload targets: configured nodes, then the extra (e.g. Irys seededTo) peers,
+// then the best `discoveredNodes` peers the registry knows from discovery.
+function resolveNodes(registry, { nodes, peers, discoveredNodes }) {
+  const explicit = registry.add([...nodes, ...peers]);
+  const discovered = registry.rank().filter((p) => !explicit.includes(p));
+  return Array.from(new Set([...explicit, ...discovered.slice(0, discoveredNodes)]));
+}
 
-export async function reuploadChunks(TX_ID_TO_UPLOAD, { logger = console.log, errorLogger = console.error } = {}) {
-  const DATA_TO_UPLOAD = path.resolve(`./${TX_ID_TO_UPLOAD}.bin`);
+/**
+ * Post the chunks of `<txid>.bin` to Arweave.
+ *
+ * The data is read from `file`, else `<txid>.bin` in `workspace` (see
+ * artifacts.mjs), else `./<txid>.bin`. If it is not there, a persistent
+ * artifact `store` is asked for a copy.
+ *
+ * Each chunk is broadcast to `nodes`, the extra `peers` and up to
+ * `discoveredNodes` peers from the peer cache, and counts as seeded once
+ * `quorum` of them have accepted it; a retry only re-posts to the nodes that
+ * have not.
+ *
+ * With `onlyMissing`, the network is probed first (see coverage.mjs) and only
+ * chunks no peer serves are posted; `dryRun` prints that coverage report and
+ * uploads nothing. `peers` are probed as well. Aborting `signal` stops the
+ * upload between chunks and cancels the posts in flight. Resolves to
+ * { totalChunks, uploaded, skipped, coverage, nodes: { [node]: { accepted, failed } } }.
+ */
+export async function reuploadChunks(
+  TX_ID_TO_UPLOAD,
+  {
+    logger = console.log,
+    errorLogger = console.error,
+    onProgress = () => {},
+    onEvent = () => {},
+    onlyMissing = false,
+    dryRun = false,
+    peers = [],
+    nodes = config.uploadNodes,
+    discoveredNodes = config.uploadDiscoveredNodes,
+    quorum = config.uploadQuorum,
+    file,
+    workspace,
+    store = createNoArtifactStore(),
+    signal,
+  } = {}
+) {
+  const DATA_TO_UPLOAD = path.resolve(
+    file || (workspace ? workspace.path(`${TX_ID_TO_UPLOAD}.bin`) : `./${TX_ID_TO_UPLOAD}.bin`)
+  );
+  const MAX_RETRIES_PER_CHUNK = config.uploadMaxRetries;
+  const RETRY_DELAY_MS_BASE = config.uploadRetryDelayMs;
+  // 1. Fetch the already-created transaction's header (not its data)
+  const txResp = await axios.get(`${config.arweaveGateway}/tx/${TX_ID_TO_UPLOAD}`, {
+    timeout: config.checkTimeoutMs,
+    validateStatus: () => true,
+    signal,
+  });
+  if (txResp.status !== 200 || !txResp.data || !txResp.data.data_root) {
+    throw new Error(`Unable to fetch tx header for ${TX_ID_TO_UPLOAD} (status ${txResp.status})`);
+  }
+  const { data_root: dataRoot, data_size: dataSize } = txResp.data;
   if (!fs.existsSync(DATA_TO_UPLOAD)) {
-    throw new Error(`File not found: ${DATA_TO_UPLOAD}`);
+    if (!(await restoreArtifact(store, TX_ID_TO_UPLOAD, DATA_TO_UPLOAD, dataRoot, { logger, errorLogger }))) {
+      throw new Error(`File not found: ${DATA_TO_UPLOAD}`);
+    }
+  }
+  const size = fs.statSync(DATA_TO_UPLOAD).size;
+  if (String(size) !== String(dataSize)) {
+    throw new Error(`Local file is ${size} bytes but tx ${TX_ID_TO_UPLOAD} declares data_size ${dataSize}`);
   }
-  const MAX_RETRIES_PER_CHUNK = 5;
-  const RETRY_DELAY_MS_BASE = 750;
-  const arweave = Arweave.init({
-    host: 'arweave.net',
-    port: 443,
-    protocol: 'https',
-  });
-  // 1. Load local data
-  const data = fs.readFileSync(DATA_TO_UPLOAD);
-  // 2. Fetch the already-created transaction
-  const tx_ = await arweave.transactions.get(TX_ID_TO_UPLOAD);
-  const uploader = await arweave.transactions.getUploader(tx_, data);
-  const tx = uploader.transaction;
-  const totalChunks = tx.chunks.chunks.length;
 
-  logger(`Uploading ${totalChunks} chunk(s) for transaction ${TX_ID_TO_UPLOAD}...`);
+  const registry = sharedPeerRegistry();
+  const targets = resolveNodes(registry, { nodes, peers, discoveredNodes });
+  if (quorum > targets.length) {
+    throw new Error(`Quorum of ${quorum} is larger than the ${targets.length} node(s) available to post to`);
+  }
+  const perNode = Object.fromEntries(targets.map((n) => [n, { accepted: 0, failed: 0 }]));
 
+  // 2. Stream the local file to compute chunk hashes and the data_root
+  const fd = fs.openSync(DATA_TO_UPLOAD, 'r');
   let successCount = 0;
   let failedChunks = [];
+  let totalChunks;
+  let toUpload;
+  let coverage = null;
 
-  // 3. Walk each chunk index and POST directly (skip posting tx)
-  for (let i = 0; i < totalChunks; i++) {
-    let attempt = 0;
-    let chunkSuccess = false;
-    while (true) {
-      try {
-        // Recreate the chunk structure exactly as arweave-js does:
-        // getChunk(index, data) returns { data_root, data_size, data_path, offset, chunk }
-        const chunkObj = tx.getChunk(i, data);
+  try {
+    const { root, chunks } = await buildTreeFromFile(fd, size);
+    const computedRoot = ArweaveUtils.bufferTob64Url(root.id);
+    if (computedRoot !== dataRoot) {
+      throw new Error(
+        `data_root mismatch for ${TX_ID_TO_UPLOAD}: tx has ${dataRoot}, local file gives ${computedRoot}`
+      );
+    }
+    totalChunks = chunks.length;
+    toUpload = chunks.map((_, i) => i);
 
-        // Optional local validation (mirrors your snippet)
-        const chunkOk = await validatePath(
-          tx.chunks.data_root,
-          parseInt(chunkObj.offset, 10),
-          0,
-          parseInt(chunkObj.data_size, 10),
-          ArweaveUtils.b64UrlToBuffer(chunkObj.data_path)
-        );
-        if (!chunkOk) {
-          throw new Error(`Unable to validate chunk ${i}`);
-        }
+    // 3. Optionally find out which chunks the network already has
+    if (onlyMissing || dryRun) {
+      coverage = await probeCoverage(
+        { txid: TX_ID_TO_UPLOAD, size, dataRoot, chunks, peers, registry, signal },
+        { logger, errorLogger }
+      );
+      logger(formatCoverageReport(coverage));
+      if (dryRun) {
+        logger('Dry run: nothing uploaded.');
+        return { totalChunks, uploaded: 0, skipped: totalChunks, coverage, nodes: perNode };
+      }
+      toUpload = coverage.missing;
+    }
 
-        // POST the chunk
-        const resp = await arweave.api.post('chunk', chunkObj).catch((e) => {
-          // Normalize network errors to a response-like object
-          errorLogger(`Network error posting chunk ${i}: ${e.message}`);
-          return { status: -1, data: { error: e.message } };
-        });
+    logger(`Uploading ${toUpload.length} of ${totalChunks} chunk(s) for transaction ${TX_ID_TO_UPLOAD}...`);
+    logger(`Posting to ${targets.length} node(s), quorum ${quorum}: ${targets.join(', ')}`);
 
-        if (resp.status === 200 || resp.status === 208) {
-          // 208 Already Reported: chunk already present – treat as success
-          logger(`Chunk ${i + 1}/${totalChunks} uploaded. (status ${resp.status})`);
-          chunkSuccess = true;
-          successCount++;
-          break;
-        } else {
-          throw new Error(`Chunk ${i} upload failed (status ${resp.status}): ${JSON.stringify(resp.data)}`);
-        }
-      } catch (err) {
-        attempt += 1;
-        if (attempt > MAX_RETRIES_PER_CHUNK) {
-          errorLogger(`❌ Giving up on chunk ${i} after ${MAX_RETRIES_PER_CHUNK} retries.`);
-          errorLogger(err);
-          failedChunks.push(i + 1);
-          break;
-        } else {
-          const delay = RETRY_DELAY_MS_BASE * attempt;
-          logger(`Retry ${attempt}/${MAX_RETRIES_PER_CHUNK} for chunk ${i} in ${delay}ms... (${err.message})`);
-          await sleep(delay);
+    // 4. Walk each chunk index and broadcast it directly (skip posting tx)
+    for (const i of toUpload) {
+      let attempt = 0;
+      const accepted = new Set();
+      while (true) {
+        throwIfAborted(signal);
+        try {
+          // Recreate the chunk structure exactly as arweave-js getChunk(index, data) does:
+          // { data_root, data_size, data_path, offset, chunk }, reading only this chunk from disk
+          const { minByteRange, maxByteRange } = chunks[i];
+          const chunkObj = {
+            data_root: dataRoot,
+            data_size: String(size),
+            data_path: ArweaveUtils.bufferTob64Url(proofFor(root, maxByteRange)),
+            offset: String(maxByteRange - 1),
+            chunk: ArweaveUtils.bufferTob64Url(readRange(fd, minByteRange, maxByteRange)),
+          };
+
+          // Optional local validation (mirrors your snippet)
+          const chunkOk = await validatePath(
+            root.id,
+            parseInt(chunkObj.offset, 10),
+            0,
+            parseInt(chunkObj.data_size, 10),
+            ArweaveUtils.b64UrlToBuffer(chunkObj.data_path)
+          );
+          if (!chunkOk) {
+            throw new Error(`Unable to validate chunk ${i}`);
+          }
+
+          // POST the chunk to every node that has not accepted it yet
+          const errors = await broadcastChunk(targets, chunkObj, accepted, perNode, registry, signal);
+          throwIfAborted(signal);
+          for (const { node, status, error } of errors) {
+            errorLogger(`Chunk ${i} rejected by ${node}: ${error}`);
+            onEvent({ type: 'peer_failure', op: 'upload', peer: node, status, error, badChunk: false });
+          }
+
+          if (accepted.size >= quorum) {
+            logger(`Chunk ${i + 1}/${totalChunks} uploaded. (accepted by ${accepted.size}/${targets.length} node(s))`);
+            metrics.chunksUploaded.inc();
+            metrics.bytesUploaded.inc({}, maxByteRange - minByteRange);
+            onEvent({
+              type: 'chunk_uploaded',
+              txid: TX_ID_TO_UPLOAD,
+              index: i,
+              bytes: maxByteRange - minByteRange,
+              accepted: accepted.size,
+              done: successCount + 1,
+              total: toUpload.length,
+            });
+            onProgress({ done: successCount + 1, total: toUpload.length, unit: 'chunks' });
+            successCount++;
+            break;
+          } else {
+            throw new Error(`Chunk ${i} accepted by ${accepted.size}/${quorum} node(s) needed`);
+          }
+        } catch (err) {
+          throwIfAborted(signal);
+          attempt += 1;
+          if (attempt > MAX_RETRIES_PER_CHUNK) {
+            errorLogger(`❌ Giving up on chunk ${i} after ${MAX_RETRIES_PER_CHUNK} retries.`);
+            errorLogger(err);
+            failedChunks.push(i + 1);
+            break;
+          } else {
+            const delay = RETRY_DELAY_MS_BASE * attempt;
+            logger(`Retry ${attempt}/${MAX_RETRIES_PER_CHUNK} for chunk ${i} in ${delay}ms... (${err.message})`);
+            metrics.uploadRetries.inc();
+            onEvent({
+              type: 'retry',
+              op: 'upload',
+              txid: TX_ID_TO_UPLOAD,
+              index: i,
+              attempt,
+              delayMs: delay,
+              error: err.message,
+            });
+            await sleep(delay, signal);
+          }
         }
       }
     }
+  } finally {
+    fs.closeSync(fd);
+    registry.save({ errorLogger });
   }
 
-  if (successCount === totalChunks) {
-    logger(`✅ All ${totalChunks} chunks uploaded successfully for ${TX_ID_TO_UPLOAD}!`);
+  for (const [node, { accepted, failed }] of Object.entries(perNode)) {
+    logger(`  ${node}: ${accepted} accepted, ${failed} failed`);
+  }
+  if (successCount === toUpload.length) {
+    logger(`✅ All ${toUpload.length} chunks uploaded successfully for ${TX_ID_TO_UPLOAD}!`);
+    return { totalChunks, uploaded: successCount, skipped: totalChunks - toUpload.length, coverage, nodes: perNode };
   } else {
     errorLogger(
-      `❌ Only ${successCount}/${totalChunks} chunks uploaded for ${TX_ID_TO_UPLOAD}. Failed chunks: [${failedChunks.join(
-        ', '
-      )}]`
+      `❌ Only ${successCount}/${
+        toUpload.length
+      } chunks uploaded for ${TX_ID_TO_UPLOAD}. Failed chunks: [${failedChunks.join(', ')}]`
     );
-    throw new Error(`Failed to upload all chunks for ${TX_ID_TO_UPLOAD}`);
+    const e = new Error(`Failed to upload all chunks for ${TX_ID_TO_UPLOAD}`);
+    e.incomplete = true;
+    throw e;
   }
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
+  const usage = () =>
+    console.error(
+      `Usage: node ${path.basename(
+        process.argv[1]
+      )} <txid> [--file path] [--only-missing] [--dry-run] [--peers p1,p2] [--nodes n1,n2] [--quorum N]`
+    );
   if (args.length < 1 || args.includes('-h') || args.includes('--help')) {
-    console.error(`Usage: node ${path.basename(process.argv[1])} <txid>`);
+    usage();
+    process.exit(1);
+  }
+  // The value after `flag`, or undefined if the flag is not given
+  const value = (flag) => {
+    const idx = args.indexOf(flag);
+    if (idx === -1) return undefined;
+    const v = args[idx + 1];
+    if (v === undefined || v.startsWith('--')) throw new Error(`${flag} requires a value`);
+    return v;
+  };
+  const list = (flag) => {
+    const v = value(flag);
+    return v === undefined ? undefined : v.split(',').filter(Boolean);
+  };
+  let opts;
+  try {
+    const quorum = value('--quorum');
+    if (quorum !== undefined && !/^\d+$/.test(quorum)) throw new Error('--quorum must be a number');
+    opts = {
+      onlyMissing: args.includes('--only-missing'),
+      dryRun: args.includes('--dry-run'),
+      peers: list('--peers') || [],
+      nodes: list('--nodes'),
+      quorum: quorum !== undefined ? parseInt(quorum, 10) : undefined,
+      file: value('--file'),
+    };
+  } catch (err) {
+    console.error(err.message);
+    usage();
     process.exit(1);
   }
-  reuploadChunks(args[0], { logger: console.log, errorLogger: console.error }).catch((err) => {
+  reuploadChunks(args[0], { logger: console.log, errorLogger: console.error, ...opts }).catch((err) => {
     console.error('ERROR:', err.message);
     process.exit(1);
   });
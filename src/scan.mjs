@@ -0,0 +1,226 @@
+/*
+ * scan.mjs
+ * ---------------------------------------------
+ * Find Irys-finalized data items that Arweave does not serve, before anyone
+ * reports them.
+ *
+ * Data items matching an owner, tag and/or time filter are listed through a
+ * GraphQL search endpoint (`graphqlEndpoint`, by default goldsky's) and each
+ * one is run through checkTx(). Items whose source is `irys` (finalized on
+ * Irys, not served by the gateway) are reported grouped by bundle, ready for
+ * fixArweaveTxBatch() or `fix.mjs --file`.
+ *
+ * Usage:
+ *   node scan.mjs [--owner addr] [--tag Name=value] [--since date] [--until date] [--limit N] [--fix]
+ *
+ * Example:
+ *   node scan.mjs --owner <address> --since 2024-06-01 --tag App-Name=MyApp
+ */
+
+import path from 'path';
+import axios from 'axios';
+import { checkTx } from './check-irys-bundle.mjs';
+import { throwIfAborted } from './cancel.mjs';
+import { fixArweaveTxBatch } from './fix.mjs';
+import { config } from './config.mjs';
+
+const PAGE_SIZE = 100;
+const DEFAULT_LIMIT = 1000;
+
+// "2024-06-01", an ISO timestamp or unix seconds -> unix seconds
+export function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number' || /^\d+$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+  return Math.floor(ms / 1000);
+}
+
+// GraphQL argument list for the filter. Values are written as literals (JSON
+// strings are valid GraphQL strings) so the query does not depend on the
+// endpoint's input type names.
+function filterArgs({ owners = [], tags = [], since, until }) {
+  const args = [];
+  if (owners.length) args.push(`owners: ${JSON.stringify(owners)}`);
+  if (tags.length) {
+    const list = tags.map((t) => `{ name: ${JSON.stringify(t.name)}, values: ${JSON.stringify(t.values)} }`);
+    args.push(`tags: [${list.join(', ')}]`);
+  }
+  const range = [];
+  if (since !== undefined) range.push(`min: ${since}`);
+  if (until !== undefined) range.push(`max: ${until}`);
+  if (range.length) args.push(`ingested_at: { ${range.join(', ')} }`);
+  return args;
+}
+
+/**
+ * Normalize a scan filter as given to the CLI or the HTTP API:
+ * { owner?, owners?, tags?: [{ name, value? , values? }] | { name: value }, since?, until?, limit? }
+ * With `maxLimit` (the HTTP API's SCAN_MAX_LIMIT), a larger `limit` is refused
+ * and the default limit is lowered to it.
+ */
+export function parseScanFilter(input = {}, { maxLimit = 0 } = {}) {
+  const owners = [...(input.owners || []), ...(input.owner ? [input.owner] : [])];
+  const rawTags = Array.isArray(input.tags)
+    ? input.tags
+    : Object.entries(input.tags || {}).map(([name, value]) => ({ name, value }));
+  const tags = rawTags.map((t) => {
+    const values = t.values || (t.value !== undefined ? [t.value] : []);
+    if (!t.name || !values.length) throw new Error(`Invalid tag filter: ${JSON.stringify(t)}`);
+    return { name: String(t.name), values: values.map(String) };
+  });
+  const filter = {
+    owners,
+    tags,
+    since: toUnixSeconds(input.since),
+    until: toUnixSeconds(input.until),
+    limit: input.limit !== undefined ? Number(input.limit) : Math.min(DEFAULT_LIMIT, maxLimit || DEFAULT_LIMIT),
+  };
+  if (!owners.length && !tags.length && filter.since === undefined && filter.until === undefined) {
+    throw new Error('A scan needs at least one of: owner, tags, since, until');
+  }
+  if (!Number.isInteger(filter.limit) || filter.limit < 1) throw new Error(`Invalid limit: ${input.limit}`);
+  if (maxLimit && filter.limit > maxLimit) throw new Error(`Invalid limit: ${input.limit} (at most ${maxLimit})`);
+  return filter;
+}
+
+/**
+ * List up to `filter.limit` transactions matching the filter, newest first.
+ * Resolves to { items: [{ id }], truncated }, where `truncated` means there
+ * were more matches than the limit.
+ */
+export async function listTransactions(
+  filter,
+  { endpoint = config.graphqlEndpoint, logger = console.log, signal } = {}
+) {
+  const items = [];
+  let after = null;
+  for (;;) {
+    throwIfAborted(signal);
+    const first = Math.min(PAGE_SIZE, filter.limit - items.length);
+    const args = [...filterArgs(filter), `first: ${first}`, 'sort: HEIGHT_DESC'];
+    if (after) args.push(`after: ${JSON.stringify(after)}`);
+    const query = `query { transactions(${args.join(', ')}) {
+      pageInfo { hasNextPage }
+      edges { cursor node { id } }
+    } }`;
+    const resp = await axios.post(endpoint, { query }, { timeout: config.checkTimeoutMs, signal });
+    if (resp.data.errors && resp.data.errors.length) {
+      throw new Error(`GraphQL error from ${endpoint}: ${resp.data.errors.map((e) => e.message).join('; ')}`);
+    }
+    const { pageInfo, edges } = resp.data.data.transactions;
+    for (const { node } of edges.slice(0, first)) items.push({ id: node.id });
+    logger(`Listed ${items.length} transaction(s)...`);
+    if (items.length >= filter.limit) return { items, truncated: edges.length > first || pageInfo.hasNextPage };
+    if (!pageInfo.hasNextPage || !edges.length) return { items, truncated: false };
+    after = edges[edges.length - 1].cursor;
+  }
+}
+
+/**
+ * List the transactions matching `filter` (see parseScanFilter) and check each
+ * one. Resolves to a report:
+ *   { scanned, truncated, sources: { arweave, irys, none }, bundles: [{ bundle_id, txids }], errors: [{ txid, error }] }
+ * where `bundles` holds the items that need a repair. Aborting `signal` stops
+ * the listing and the checks in flight, and rejects (see cancel.mjs).
+ */
+export async function scanTxs(
+  filter,
+  {
+    endpoint,
+    concurrency = config.scanConcurrency,
+    signal,
+    logger = console.log,
+    errorLogger = console.error,
+    onStage = () => {},
+    onProgress = () => {},
+    onEvent = () => {},
+  } = {}
+) {
+  onStage('list');
+  const { items, truncated } = await listTransactions(filter, { endpoint, logger, signal });
+  if (truncated) logger(`More than ${filter.limit} match(es); only the newest ${filter.limit} are checked.`);
+
+  onStage('check');
+  logger(`Checking ${items.length} transaction(s)...`);
+  const sources = { arweave: 0, irys: 0, none: 0 };
+  const bundles = new Map(); // bundleId -> txids
+  const errors = [];
+  let next = 0;
+  let checked = 0;
+  async function worker() {
+    while (next < items.length) {
+      throwIfAborted(signal);
+      const { id } = items[next++];
+      try {
+        const res = await checkTx(id, { signal });
+        onEvent({ type: 'check', txid: id, source: res.source, bundle_id: res.bundle_id });
+        sources[res.source]++;
+        if (res.source === 'irys') {
+          logger(`${id}: finalized on Irys in bundle ${res.bundle_id}, not on Arweave`);
+          if (!bundles.has(res.bundle_id)) bundles.set(res.bundle_id, []);
+          bundles.get(res.bundle_id).push(id);
+        }
+      } catch (err) {
+        throwIfAborted(signal);
+        errorLogger(`${id}: check failed:`, err.message);
+        errors.push({ txid: id, error: err.message });
+      }
+      onProgress({ done: ++checked, total: items.length, unit: 'txs' });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  logger(
+    `Scanned ${items.length} transaction(s): ${sources.irys} need a repair (in ${bundles.size} bundle(s)), ` +
+      `${sources.arweave} on Arweave, ${sources.none} unknown to Irys, ${errors.length} error(s)`
+  );
+  return {
+    scanned: items.length,
+    truncated,
+    sources,
+    bundles: [...bundles].map(([bundle_id, txids]) => ({ bundle_id, txids })),
+    errors,
+  };
+}
+
+// All txids a scan report says need a repair
+export const reportTxids = (report) => report.bundles.flatMap((b) => b.txids);
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  if (!args.length || args.includes('-h') || args.includes('--help')) {
+    console.error(
+      `Usage: node ${path.basename(
+        process.argv[1]
+      )} [--owner addr] [--tag Name=value] [--since date] [--until date] [--limit N] [--fix]`
+    );
+    process.exit(1);
+  }
+  const input = { owners: [], tags: [] };
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+    if (args[i] === '--owner') input.owners.push(value);
+    else if (args[i] === '--tag') {
+      const eq = value.indexOf('=');
+      input.tags.push({ name: value.slice(0, eq), value: value.slice(eq + 1) });
+    } else if (['--since', '--until', '--limit'].includes(args[i])) input[args[i].slice(2)] = value;
+    else continue;
+    i++;
+  }
+  try {
+    // progress goes to stderr so stdout is just the JSON report
+    const hooks = { logger: console.error, errorLogger: console.error };
+    const report = await scanTxs(parseScanFilter(input), hooks);
+    console.log(JSON.stringify(report, null, 2));
+    const txids = reportTxids(report);
+    if (args.includes('--fix') && txids.length) {
+      const results = await fixArweaveTxBatch(txids, hooks);
+      console.log(JSON.stringify(results, null, 2));
+      if (results.some((r) => r.status === 'error')) process.exit(1);
+    }
+  } catch (err) {
+    console.error('ERROR:', err.message);
+    process.exit(1);
+  }
+}
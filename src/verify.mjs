@@ -0,0 +1,166 @@
+/*
+ * verify.mjs
+ * ---------------------------------------------
+ * Decide whether a repaired data item is really served again, by content
+ * rather than by status code.
+ *
+ * Every gateway in `verifyGateways` is asked for the item and what comes back
+ * is compared with the data that was seeded (size and SHA-256, see
+ * dataItemDigest in ans104.mjs):
+ *
+ *   item   GET <gateway>/<txid>, the item's data as users fetch it (default)
+ *   range  GET <gateway>/<bundleId> with a Range header for the item's bytes
+ *          within the bundle
+ *
+ * Without an expected digest (the bundle could not be parsed) a gateway passes
+ * when it returns a complete, non-empty body. A tx counts as available once
+ * `verifyQuorum` gateways pass (0: all of them). Polling backs off from
+ * `pollIntervalMs` up to `pollMaxIntervalMs` between rounds; aborting the
+ * `signal` option ends the polling with its reason.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { sleep, throwIfAborted } from './cancel.mjs';
+import { metrics } from './metrics.mjs';
+import { config } from './config.mjs';
+
+const MODES = ['item', 'range'];
+
+// Stream a response body, hashing it and stopping once it is longer than `maxBytes`
+async function digestResponse(resp, maxBytes) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of resp.data) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      resp.data.destroy();
+      break;
+    }
+    hash.update(chunk);
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+/**
+ * Check one gateway. `expected` is { size, sha256, bundleId, dataOffset } or
+ * null. Resolves to { gateway, ok, status, size, error }.
+ */
+export async function verifyOnGateway(
+  gateway,
+  txid,
+  expected,
+  { mode = config.verifyMode, timeout = config.checkTimeoutMs, signal } = {}
+) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown verify mode: ${mode}`);
+  // A range check needs to know where the item's data sits in the bundle
+  const ranged = mode === 'range' && !!expected && expected.size > 0;
+  const url = ranged ? `${gateway}/${expected.bundleId}` : `${gateway}/${txid}`;
+  const headers = {};
+  if (ranged) headers.Range = `bytes=${expected.dataOffset}-${expected.dataOffset + expected.size - 1}`;
+  const result = { gateway, ok: false, status: null, size: null, error: null };
+  try {
+    const resp = await axios.get(url, {
+      headers,
+      timeout,
+      maxRedirects: 5,
+      responseType: 'stream',
+      validateStatus: () => true,
+      signal,
+    });
+    result.status = resp.status;
+    if (resp.status !== (ranged ? 206 : 200)) {
+      resp.data.destroy();
+      result.error = `HTTP ${resp.status}`;
+      return result;
+    }
+    const declared = resp.headers['content-length'] !== undefined ? Number(resp.headers['content-length']) : null;
+    const { size, sha256 } = await digestResponse(resp, expected ? expected.size : Infinity);
+    result.size = size;
+    if (expected) {
+      if (size !== expected.size) result.error = `size ${size}, expected ${expected.size}`;
+      else if (sha256 !== expected.sha256) result.error = 'content hash does not match the seeded data';
+    } else if (!size) {
+      result.error = 'empty response';
+    } else if (declared !== null && declared !== size) {
+      result.error = `got ${size} of ${declared} bytes`;
+    }
+    result.ok = !result.error;
+  } catch (err) {
+    throwIfAborted(signal);
+    result.error = err.message;
+  }
+  return result;
+}
+
+/**
+ * Check `txid` on every gateway. Resolves to { txid, available, gateways: [per-gateway result] }.
+ */
+export async function verifyTx(
+  txid,
+  expected,
+  { gateways = config.verifyGateways, quorum = config.verifyQuorum, ...opts } = {}
+) {
+  const results = await Promise.all(gateways.map((g) => verifyOnGateway(g, txid, expected, opts)));
+  const needed = quorum || gateways.length;
+  return { txid, available: results.filter((r) => r.ok).length >= needed, gateways: results };
+}
+
+const describe = (results) => results.map((r) => `${r.gateway}: ${r.ok ? 'ok' : r.error}`).join('; ');
+
+/**
+ * Verify `txids` until they are all available or `maxAttempts` rounds have
+ * passed. `expected` maps a txid to its digest (missing entries are checked
+ * without one). Resolves to Map txid -> { available, attempts, gateways }
+ * holding each txid's last round.
+ */
+export async function pollAvailability(
+  txids,
+  {
+    expected = new Map(),
+    gateways = config.verifyGateways,
+    quorum = config.verifyQuorum,
+    mode = config.verifyMode,
+    interval = config.pollIntervalMs,
+    maxInterval = config.pollMaxIntervalMs,
+    maxAttempts = config.pollMaxAttempts,
+    logger = console.log,
+    onProgress = () => {},
+    onEvent = () => {},
+    signal,
+  } = {}
+) {
+  const started = Date.now();
+  const results = new Map(txids.map((txid) => [txid, { available: false, attempts: 0, gateways: [] }]));
+  const waiting = new Set(txids);
+  logger(
+    `Verifying ${txids.length} tx(s) against ${gateways.length} gateway(s) (${mode} check): ${gateways.join(', ')}`
+  );
+  for (let attempt = 1; attempt <= maxAttempts && waiting.size; attempt++) {
+    for (const txid of [...waiting]) {
+      const res = await verifyTx(txid, expected.get(txid) || null, { gateways, quorum, mode, signal });
+      results.set(txid, { available: res.available, attempts: attempt, gateways: res.gateways });
+      onEvent({ type: 'poll', txid, attempt, available: res.available, gateways: res.gateways });
+      if (res.available) {
+        logger(`\n✅ Tx ${txid} is now available on Arweave! (${describe(res.gateways)})`);
+        waiting.delete(txid);
+        metrics.timeToAvailable.observe({}, (Date.now() - started) / 1000);
+      } else {
+        logger(`${txid} not available yet: ${describe(res.gateways)}`);
+      }
+    }
+    onProgress({ done: txids.length - waiting.size, total: txids.length, unit: 'txs' });
+    if (waiting.size && attempt < maxAttempts) {
+      const delay = Math.min(interval * 2 ** (attempt - 1), maxInterval);
+      logger(
+        `. (${txids.length - waiting.size}/${txids.length} available, next check in ${Math.round(delay / 1000)}s)`
+      );
+      await sleep(delay, signal);
+    }
+  }
+  if (waiting.size) {
+    metrics.pollGaveUp.inc({}, waiting.size);
+    logger(`\nGave up after ${maxAttempts} attempts with ${waiting.size} tx(s) still unavailable.`);
+  }
+  return results;
+}
@@ -0,0 +1,220 @@
+/*
+ * webhooks.mjs
+ * ---------------------------------------------
+ * Tell a caller how its repair ended by POSTing to the callback URL it gave.
+ *
+ * The body is JSON (see webhookPayload). It is signed with the configured
+ * `webhookSecret`: the receiver recomputes
+ *
+ *   hex(HMAC-SHA256(secret, `${X-Backfill-Timestamp}.${raw body}`))
+ *
+ * and compares it with the `sha256=` value of X-Backfill-Signature, and should
+ * reject stale timestamps. Failed deliveries (network errors, 408, 429, 5xx)
+ * are retried with exponential backoff; other responses are final. Every
+ * attempt carries the same X-Backfill-Delivery id, so receivers can drop
+ * duplicates.
+ *
+ * Callback URLs come from clients, so they may not point into the service's
+ * own network: a host that resolves to a loopback, private, link-local (cloud
+ * metadata) or otherwise reserved address is refused, both when the URL is
+ * given and again when each delivery connects (the name may resolve elsewhere
+ * by then). Hosts in WEBHOOK_ALLOWED_HOSTS skip that check.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import { sleep } from './cancel.mjs';
+import { metrics } from './metrics.mjs';
+import { config } from './config.mjs';
+
+const retryable = (status) => status === 408 || status === 429 || status >= 500;
+
+export function signPayload(body, secret, timestamp) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Loopback, private, link-local, CGNAT, multicast and other reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  BLOCKED.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  BLOCKED.addSubnet(prefix, bits, 'ipv6');
+}
+
+/** Whether `address` (an IP) is one a callback may not reach. */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const isAllowedHost = (hostname) => config.webhookAllowedHosts.includes(hostname.toLowerCase());
+const bareHost = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+const blockedError = (hostname, address) =>
+  Object.assign(new Error(`${hostname} resolves to a non-public address (${address})`), { code: 'EBLOCKED' });
+
+// dns.lookup() that fails for names resolving to a blocked address; used when
+// delivering, so a name cannot be re-pointed at one after it was checked
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const all = Array.isArray(address) ? address : [{ address }];
+    const blocked = all.find((a) => isBlockedAddress(a.address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+}
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+/**
+ * Check a callback URL given by a client. Resolves to null if it may be used,
+ * or to the reason it may not: not http(s), or a host that does not resolve or
+ * resolves to a non-public address (unless it is in WEBHOOK_ALLOWED_HOSTS).
+ */
+export async function callbackUrlProblem(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'expected an http or https URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'expected an http or https URL';
+  const hostname = bareHost(url);
+  if (isAllowedHost(hostname)) return null;
+  if (net.isIP(hostname)) return isBlockedAddress(hostname) ? `${hostname} is not a public address` : null;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (err) {
+    return `cannot resolve ${hostname}`;
+  }
+  const blocked = addresses.find((a) => isBlockedAddress(a.address));
+  return blocked ? blockedError(hostname, blocked.address).message : null;
+}
+
+/**
+ * The webhook body for a finished fix of `txid`: its `result` from
+ * fixArweaveTx(), or the `error` it threw. `bundleId` is the bundle found by the
+ * check, for failures that happened after it. A cancelled fix is reported
+ * with status `cancelled`.
+ */
+export function webhookPayload({ txid, result, error, bundleId = null, startedAt, finishedAt = new Date() }) {
+  const r = result || {};
+  return {
+    event: 'repair.finished',
+    txid,
+    bundle_id: r.bundle_id || bundleId,
+    status: error ? (error.cancelled ? 'cancelled' : 'error') : r.status,
+    error: error ? error.message : null,
+    bytes: r.bytes ?? null,
+    chunks: r.chunks ?? null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+  };
+}
+
+/**
+ * POST `payload` to `url`, retrying failed attempts after retryDelayMs, 2x, 4x, ...
+ * Never throws; resolves to { delivered, attempts, status }.
+ */
+export async function deliverWebhook(
+  url,
+  payload,
+  {
+    secret = config.webhookSecret,
+    maxAttempts = config.webhookMaxAttempts,
+    retryDelayMs = config.webhookRetryDelayMs,
+    timeout = config.webhookTimeoutMs,
+    logger = console.log,
+    errorLogger = console.error,
+  } = {}
+) {
+  const hostname = bareHost(new URL(url));
+  const agents = isAllowedHost(hostname) ? {} : publicAgents;
+  if (agents === publicAgents && net.isIP(hostname) && isBlockedAddress(hostname)) {
+    errorLogger(`Webhook for ${payload.txid} not sent: ${hostname} is not a public address`);
+    metrics.webhookDeliveries.inc({ result: 'rejected' });
+    return { delivered: false, attempts: 0, status: null };
+  }
+  const body = JSON.stringify(payload);
+  const deliveryId = crypto.randomUUID();
+  let status = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // Signed per attempt so the timestamp says when it was sent
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Backfill-Delivery': deliveryId,
+      'X-Backfill-Timestamp': timestamp,
+    };
+    if (secret) headers['X-Backfill-Signature'] = signPayload(body, secret, timestamp);
+    let error;
+    try {
+      const resp = await axios.post(url, body, {
+        headers,
+        timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...agents,
+      });
+      status = resp.status;
+      if (status >= 200 && status < 300) {
+        logger(`Webhook for ${payload.txid} delivered to ${url} (HTTP ${status}, attempt ${attempt})`);
+        metrics.webhookDeliveries.inc({ result: 'delivered' });
+        return { delivered: true, attempts: attempt, status };
+      }
+      error = `HTTP ${status}`;
+      if (!retryable(status)) {
+        errorLogger(`Webhook for ${payload.txid} rejected by ${url}: ${error}; not retrying`);
+        metrics.webhookDeliveries.inc({ result: 'rejected' });
+        return { delivered: false, attempts: attempt, status };
+      }
+    } catch (err) {
+      if (err.code === 'EBLOCKED') {
+        errorLogger(`Webhook for ${payload.txid} not sent: ${err.message}`);
+        metrics.webhookDeliveries.inc({ result: 'rejected' });
+        return { delivered: false, attempts: attempt, status: null };
+      }
+      error = err.message;
+    }
+    if (attempt < maxAttempts) {
+      const delay = retryDelayMs * 2 ** (attempt - 1);
+      errorLogger(`Webhook for ${payload.txid} to ${url} failed (${error}); retrying in ${delay}ms`);
+      await sleep(delay);
+    } else {
+      errorLogger(`Webhook for ${payload.txid} to ${url} failed (${error}); giving up after ${maxAttempts} attempts`);
+    }
+  }
+  metrics.webhookDeliveries.inc({ result: 'failed' });
+  return { delivered: false, attempts: maxAttempts, status };
+}
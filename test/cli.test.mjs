@@ -0,0 +1,115 @@
+/*
+ * Exit codes of the `backfill` command (src/cli.mjs), run as a child process
+ * against the local emulator. The command reads its settings from the
+ * environment it is started with, so each run gets the emulator's URLs.
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createNetwork, startNode } from '../src/emulator.mjs';
+
+const network = createNetwork();
+const gateway = await startNode(network);
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-cli-'));
+const cli = new URL('../src/cli.mjs', import.meta.url).pathname;
+
+const env = {
+  ...process.env,
+  ARWEAVE_GATEWAY: gateway.url,
+  IRYS_NODE: `${gateway.url}/irys`,
+  IRYS_BUNDLE_SOURCES: `${gateway.url}/irys/{id}`,
+  SEED_PEERS: gateway.url,
+  FETCH_DISCOVER: 'false',
+  FETCH_TIMEOUT_MS: '1000',
+  CHECK_TIMEOUT_MS: '1000',
+  UPLOAD_TIMEOUT_MS: '1000',
+  UPLOAD_DISCOVERED_NODES: '0',
+  UPLOAD_MAX_RETRIES: '1',
+  UPLOAD_RETRY_DELAY_MS: '10',
+  POLL_INTERVAL_MS: '20',
+  POLL_MAX_INTERVAL_MS: '100',
+  POLL_MAX_ATTEMPTS: '3',
+  WORK_DIR: tmp,
+  ARTIFACT_STORE: 'none',
+};
+
+// Four chunks: three full 256 KiB ones and the rest
+const payload = (seed) => Buffer.alloc(3 * 256 * 1024 + 1000, seed);
+
+// Run `backfill <args> --json`; resolves to { code, results } once it exits
+function backfill(args, extraEnv = {}) {
+  return new Promise((resolve) => {
+    const child = execFile(
+      process.execPath,
+      [cli, ...args, '--json'],
+      { env: { ...env, ...extraEnv }, timeout: 60000 },
+      (err, stdout) => {
+        const results = stdout
+          .split('\n')
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+        resolve({ code: child.exitCode, results });
+      }
+    );
+    child.stdin.end();
+  });
+}
+
+beforeEach(() => gateway.setFaults({}));
+
+after(async () => {
+  await gateway.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('batch exits 0 when every tx is served or fixed, and 5 for one Irys does not know', async () => {
+  const bundle = await network.addBundle({ items: [{ data: 'served' }] });
+  const served = await backfill(['batch', bundle.items[0].id]);
+  assert.equal(served.code, 0);
+  assert.equal(served.results[0].status, 'already_on_arweave');
+
+  const unknown = await backfill(['batch', bundle.items[0].id, 'x'.repeat(43)]);
+  assert.equal(unknown.code, 5);
+  assert.deepEqual(
+    unknown.results.map((r) => r.status),
+    ['already_on_arweave', 'not_found_on_irys']
+  );
+});
+
+test('batch exits 2, like fix, when no peer or Irys serves the bundle', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(21) }], missing: 'all' });
+  const txid = bundle.items[0].id;
+  gateway.setFaults({ failures: [{ path: `/irys/${bundle.id}`, status: 404 }] });
+
+  const batch = await backfill(['batch', txid]);
+  assert.equal(batch.code, 2);
+  assert.equal(batch.results[0].status, 'error');
+  assert.equal(batch.results[0].kind, 'network');
+  assert.equal((await backfill(['fix', txid])).code, 2);
+});
+
+test('batch exits 3, like fix, when polling gives up', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(22) }], missing: [0] });
+  const txid = bundle.items[0].id;
+  gateway.setFaults({ failures: [{ path: `/${txid}`, status: 404 }] });
+
+  const batch = await backfill(['batch', txid]);
+  assert.equal(batch.code, 3);
+  assert.deepEqual([batch.results[0].status, batch.results[0].kind], ['error', 'incomplete']);
+  assert.equal((await backfill(['fix', txid])).code, 3);
+});
+
+test('batch exits 4, like fix, when the repair is cancelled', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(23) }], missing: 'all' });
+  const txid = bundle.items[0].id;
+  gateway.setFaults({ latencyMs: 200 });
+
+  const batch = await backfill(['batch', txid], { REPAIR_DEADLINE_MS: '300' });
+  assert.equal(batch.code, 4);
+  assert.deepEqual([batch.results[0].status, batch.results[0].kind], ['cancelled', 'cancelled']);
+  assert.equal((await backfill(['fix', txid], { REPAIR_DEADLINE_MS: '300' })).code, 4);
+});
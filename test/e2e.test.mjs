@@ -0,0 +1,282 @@
+/*
+ * End-to-end runs of fixArweaveTx() / fixArweaveTxBatch() against the local
+ * emulator (src/emulator.mjs). Settings are frozen when config.mjs is first
+ * imported, so the emulator is started and the environment set before the
+ * modules under test are loaded.
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createNetwork, startNode } from '../src/emulator.mjs';
+import { cancelledError } from '../src/cancel.mjs';
+
+const network = createNetwork();
+const gateway = await startNode(network);
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-e2e-'));
+
+Object.assign(process.env, {
+  ARWEAVE_GATEWAY: gateway.url,
+  IRYS_NODE: `${gateway.url}/irys`,
+  IRYS_BUNDLE_SOURCES: `${gateway.url}/irys/{id}`,
+  SEED_PEERS: gateway.url,
+  FETCH_DISCOVER: 'false',
+  FETCH_TIMEOUT_MS: '1000',
+  CHECK_TIMEOUT_MS: '1000',
+  UPLOAD_TIMEOUT_MS: '1000',
+  UPLOAD_DISCOVERED_NODES: '0',
+  UPLOAD_MAX_RETRIES: '1',
+  UPLOAD_RETRY_DELAY_MS: '10',
+  POLL_INTERVAL_MS: '20',
+  POLL_MAX_INTERVAL_MS: '100',
+  POLL_MAX_ATTEMPTS: '3',
+  PEER_CACHE_FILE: path.join(tmp, 'peers.json'),
+  WORK_DIR: tmp,
+  JOBS_DIR: path.join(tmp, 'jobs'),
+  ARTIFACT_STORE: 'none',
+});
+const { fixArweaveTx, fixArweaveTxBatch } = await import('../src/fix.mjs');
+const { diagnoseTx } = await import('../src/diagnose.mjs');
+const { fetchArweaveChunks } = await import('../src/fetch-arweave-chunks.mjs');
+const { createChunkCache, CACHE_PEER } = await import('../src/chunk-cache.mjs');
+
+const quiet = { logger: () => {}, errorLogger: () => {} };
+// Four chunks: three full 256 KiB ones and the rest
+const payload = (seed) => Buffer.alloc(3 * 256 * 1024 + 1000, seed);
+
+// Every hook call, for assertions on stages and events
+function recorder() {
+  const events = [];
+  const stages = [];
+  return { events, stages, hooks: { ...quiet, onStage: (s) => stages.push(s), onEvent: (e) => events.push(e) } };
+}
+
+const peers = [];
+async function startPeer(faults) {
+  const peer = await startNode(network, { faults });
+  peers.push(peer);
+  return peer;
+}
+
+beforeEach(() => gateway.setFaults({}));
+
+after(async () => {
+  await Promise.all([gateway, ...peers].map((n) => n.close()));
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('a tx the gateway serves needs no repair', async () => {
+  const bundle = await network.addBundle({ items: [{ data: 'hello' }] });
+  assert.deepEqual(await fixArweaveTx(bundle.items[0].id, quiet), { status: 'already_on_arweave' });
+});
+
+test('a tx unknown to Irys is reported as not found', async () => {
+  assert.deepEqual(await fixArweaveTx('x'.repeat(43), quiet), { status: 'not_found_on_irys' });
+});
+
+test('a tx Irys has not finalized is not repaired', async () => {
+  const bundle = await network.addBundle({ items: [{ data: 'later', irysStatus: 'PENDING' }], missing: 'all' });
+  const txid = bundle.items[0].id;
+  assert.deepEqual(await fixArweaveTx(txid, quiet), { status: 'not_found_on_irys' });
+  assert.equal((await diagnoseTx(txid, quiet)).diagnosis, 'irys_pending');
+});
+
+test('an Irys outage is not mistaken for a missing tx by the diagnosis', async () => {
+  const bundle = await network.addBundle({ items: [{ data: 'data' }], missing: 'all' });
+  gateway.setFaults({ failures: [{ path: '/irys/', status: 503 }] });
+  assert.equal((await diagnoseTx(bundle.items[0].id, quiet)).diagnosis, 'irys_unreachable');
+});
+
+test('an Irys node that rate-limits the diagnosis is unreachable, not missing the tx', async () => {
+  const bundle = await network.addBundle({ items: [{ data: 'limited' }], missing: 'all' });
+  gateway.setFaults({ failures: [{ path: '/irys/', status: 429 }] });
+  const report = await diagnoseTx(bundle.items[0].id, quiet);
+  assert.equal(report.diagnosis, 'irys_unreachable');
+  assert.equal(report.irys.httpStatus, 429);
+});
+
+test('a bundle with no stored chunk is fetched from Irys and fully reuploaded', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(1) }], missing: 'all' });
+  const txid = bundle.items[0].id;
+  assert.equal((await diagnoseTx(txid, quiet)).diagnosis, 'chunks_missing');
+
+  const { stages, hooks } = recorder();
+  const result = await fixArweaveTx(txid, hooks);
+  assert.equal(result.status, 'fixed');
+  assert.equal(result.bundle_id, bundle.id);
+  assert.equal(result.bytes, bundle.size);
+  assert.deepEqual(result.chunks, { total: 4, uploaded: 4 });
+  assert.deepEqual(network.storedChunks(bundle.id), [0, 1, 2, 3]);
+  assert.deepEqual(stages, ['check', 'fetch', 'reupload', 'poll']);
+  assert.equal((await diagnoseTx(txid, quiet)).diagnosis, 'available');
+});
+
+test('only the missing chunks of a partially stored bundle are reuploaded', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(2) }], missing: [1, 2] });
+  const txid = bundle.items[0].id;
+  const report = await diagnoseTx(txid, quiet);
+  assert.equal(report.diagnosis, 'chunks_partial');
+  assert.equal(report.chunks.missingRanges, '1-2');
+  const sampled = await diagnoseTx(txid, { ...quiet, sampleChunks: 3 });
+  assert.equal(sampled.diagnosis, 'chunks_partial');
+  assert.deepEqual([sampled.chunks.probed, sampled.chunks.missingRanges], [3, '2']);
+
+  const result = await fixArweaveTx(txid, quiet);
+  assert.equal(result.status, 'fixed');
+  assert.deepEqual(result.chunks, { total: 4, uploaded: 2 });
+  assert.deepEqual(network.storedChunks(bundle.id), [0, 1, 2, 3]);
+});
+
+test('corrupt chunks from a peer are rejected and reuploaded', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(3) }], missing: [3] });
+  const peer = await startPeer({ corrupt: { [bundle.id]: [0, 1] } });
+  gateway.setFaults({ withheld: { [bundle.id]: [0, 1] } });
+  network.bundles.get(bundle.id).seededTo = [peer.url];
+
+  const { events, hooks } = recorder();
+  const result = await fixArweaveTx(bundle.items[0].id, hooks);
+  assert.equal(result.status, 'fixed');
+  // Chunks 0 and 1 are only served corrupt, so they count as missing too
+  assert.deepEqual(result.chunks, { total: 4, uploaded: 3 });
+  assert.ok(events.some((e) => e.type === 'peer_failure' && e.peer === peer.url && e.badChunk));
+});
+
+test('a slow peer times out instead of stalling the repair', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(4) }], missing: [0] });
+  const peer = await startPeer({ latencyMs: 1500 });
+  network.bundles.get(bundle.id).seededTo = [peer.url];
+
+  const result = await fixArweaveTx(bundle.items[0].id, quiet);
+  assert.equal(result.status, 'fixed');
+  assert.deepEqual(network.storedChunks(bundle.id), [0, 1, 2, 3]);
+});
+
+test('a download slower than three fetch timeouts completes while it keeps making progress', async () => {
+  const data = Buffer.alloc(10 * 256 * 1024, 14);
+  const bundle = await network.addBundle({ items: [{ data }] });
+  gateway.setFaults({ latencyMs: 100 });
+  const started = Date.now();
+  const res = await fetchArweaveChunks(
+    { txid: bundle.id, outfile: path.join(tmp, 'steady.bin'), timeout: 300, cache: null },
+    quiet
+  );
+  assert.equal(res.bytes, bundle.size);
+  assert.ok(Date.now() - started > 3 * 300);
+});
+
+test('a batch repairs each bundle once for all of its items', async () => {
+  const bundle = await network.addBundle({
+    items: [{ data: payload(5) }, { data: 'second item', tags: [{ name: 'Content-Type', value: 'text/plain' }] }],
+    missing: 'all',
+  });
+  const ids = bundle.items.map((it) => it.id);
+  const { stages, hooks } = recorder();
+  const results = await fixArweaveTxBatch(ids, hooks);
+  assert.deepEqual(
+    results.map((r) => [r.txid, r.status]),
+    ids.map((id) => [id, 'fixed'])
+  );
+  assert.equal(stages.filter((s) => s === 'reupload').length, 1);
+});
+
+test('a fix that joins a running repair of its bundle gets its own item verified', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(8) }, { data: 'joining item' }], missing: 'all' });
+  const [first, second] = bundle.items.map((it) => it.id);
+  gateway.setFaults({ latencyMs: 50 });
+  const logs = [];
+  const joiner = { ...quiet, logger: (...args) => logs.push(args.join(' ')) };
+  const { stages, hooks } = recorder();
+  let joining;
+  hooks.onStage = (stage) => {
+    stages.push(stage);
+    if (stage === 'reupload' && !joining) joining = fixArweaveTx(second, joiner);
+  };
+  assert.equal((await fixArweaveTx(first, hooks)).status, 'fixed');
+  assert.equal((await joining).status, 'fixed');
+  assert.ok(logs.some((l) => l.includes(`Bundle ${bundle.id} is already being repaired`)));
+  assert.ok(logs.some((l) => l.includes(`Data item ${second} found in bundle`)));
+  assert.equal(stages.filter((s) => s === 'reupload').length, 1);
+});
+
+test('a cancelled repair stops at once and uploads nothing', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(7) }], missing: 'all' });
+  gateway.setFaults({ latencyMs: 200 });
+  const controller = new AbortController();
+  const { stages, hooks } = recorder();
+  hooks.onStage = (stage) => {
+    stages.push(stage);
+    if (stage === 'fetch') setTimeout(() => controller.abort(cancelledError('Cancelled by test')), 50);
+  };
+  const started = Date.now();
+  await assert.rejects(fixArweaveTx(bundle.items[0].id, { ...hooks, signal: controller.signal }), {
+    cancelled: true,
+    message: 'Cancelled by test',
+  });
+  assert.ok(Date.now() - started < 1500);
+  assert.deepEqual(stages, ['check', 'fetch']);
+  assert.deepEqual(network.storedChunks(bundle.id), []);
+
+  const results = await fixArweaveTxBatch([bundle.items[0].id], { ...quiet, signal: controller.signal });
+  assert.equal(results[0].status, 'cancelled');
+});
+
+test('a refetch takes verified chunks from the local cache and drops damaged ones', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(8) }] });
+  const cache = createChunkCache({ dir: path.join(tmp, 'chunk-cache'), maxBytes: 10 * 1024 * 1024 });
+  const fetch = async () => {
+    const { events, hooks } = recorder();
+    const res = await fetchArweaveChunks({ txid: bundle.id, outfile: path.join(tmp, 'cached.bin'), cache }, hooks);
+    assert.equal(res.bytes, bundle.size);
+    return events.filter((e) => e.type === 'chunk_fetched').map((e) => e.peer);
+  };
+  assert.ok(!(await fetch()).includes(CACHE_PEER));
+  assert.equal(cache.stats().chunks, 4);
+
+  // The gateway no longer serves any chunk: the cache alone is enough
+  gateway.setFaults({ withheld: { [bundle.id]: 'all' } });
+  assert.deepEqual(await fetch(), Array(4).fill(CACHE_PEER));
+
+  // A cached chunk that no longer verifies is dropped and fetched again
+  gateway.setFaults({});
+  const dir = path.join(cache.dir, cache.stats().dataRoots[0].dataRoot);
+  const damaged = path.join(dir, fs.readdirSync(dir).sort()[0]);
+  fs.appendFileSync(damaged, 'x');
+  assert.deepEqual(await fetch(), [gateway.url, CACHE_PEER, CACHE_PEER, CACHE_PEER]);
+
+  // Pruning evicts the least recently used chunks first
+  fs.utimesSync(damaged, new Date(), new Date(Date.now() + 60000));
+  assert.equal(cache.prune({ maxBytes: 300 * 1024 }).chunks, 3);
+  assert.deepEqual(fs.readdirSync(dir), [path.basename(damaged)]);
+  cache.prune({ all: true });
+});
+
+test('the chunk cache is off by default until it has a directory of its own', async () => {
+  const { loadConfig } = await import('../src/config.mjs');
+  const capOf = (env) => loadConfig({ env }).chunkCacheMaxBytes;
+  assert.equal(capOf({}), 0);
+  assert.equal(capOf({ WORK_DIR: tmp }), 1024 * 1024 * 1024);
+  assert.equal(capOf({ CHUNK_CACHE_DIR: tmp }), 1024 * 1024 * 1024);
+  assert.equal(capOf({ CHUNK_CACHE_MAX_BYTES: '1000' }), 1000);
+  assert.equal(capOf({ WORK_DIR: tmp, CHUNK_CACHE_MAX_BYTES: '0' }), 0);
+});
+
+test('a repair fails when the Irys copy is gone and no node accepts chunks, and only a job keeps its download', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(6) }], missing: 'all' });
+  gateway.setFaults({ failures: [{ path: `/irys/${bundle.id}`, status: 404 }] });
+  await assert.rejects(fixArweaveTx(bundle.items[0].id, quiet));
+
+  gateway.setFaults({ failures: [{ method: 'POST', path: '/chunk', status: 503 }] });
+  await assert.rejects(fixArweaveTx(bundle.items[0].id, quiet), /chunk/i);
+  assert.deepEqual(network.storedChunks(bundle.id), []);
+  const workspace = path.join(tmp, `backfill-bundle-${bundle.id}`);
+  assert.equal(fs.existsSync(workspace), false);
+
+  // A background job keeps the download for its next attempt
+  await assert.rejects(fixArweaveTx(bundle.items[0].id, { ...quiet, jobId: 'job-1' }), /chunk/i);
+  assert.ok(fs.readdirSync(workspace).includes(`${bundle.id}.bin`));
+  gateway.setFaults({});
+  assert.equal((await fixArweaveTx(bundle.items[0].id, quiet)).status, 'fixed');
+  assert.equal(fs.existsSync(workspace), false);
+});
@@ -0,0 +1,216 @@
+/*
+ * The HTTP service's API keys and per-client limits (src/auth.mjs), against
+ * the local emulator. As in e2e.test.mjs, the environment is set before the
+ * server module is loaded, since settings are frozen on first import.
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createNetwork, startNode } from '../src/emulator.mjs';
+
+const network = createNetwork();
+const gateway = await startNode(network);
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-server-'));
+
+// A GraphQL search endpoint for /scan that slowly pages through endless made-up ids
+let graphqlPages = 0;
+const graphql = http.createServer(async (req, res) => {
+  for await (const chunk of req) void chunk;
+  const page = ++graphqlPages;
+  setTimeout(() => {
+    const edges = Array.from({ length: 100 }, (_, i) => ({ cursor: `${page}-${i}`, node: { id: `${page}-${i}` } }));
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ data: { transactions: { pageInfo: { hasNextPage: true }, edges } } }));
+  }, 200);
+});
+await new Promise((resolve) => graphql.listen(0, '127.0.0.1', resolve));
+
+const KEYS = [
+  { name: 'small', key: 'key-small', maxBundleBytes: 1000, maxConcurrentRepairs: 1 },
+  { name: 'single', key: 'key-single', maxConcurrentRepairs: 1 },
+  { name: 'slow', key: 'key-slow', rateLimitPerMinute: 2 },
+  { name: 'open', key: 'key-open' },
+];
+
+Object.assign(process.env, {
+  ARWEAVE_GATEWAY: gateway.url,
+  IRYS_NODE: `${gateway.url}/irys`,
+  IRYS_BUNDLE_SOURCES: `${gateway.url}/irys/{id}`,
+  SEED_PEERS: gateway.url,
+  FETCH_DISCOVER: 'false',
+  FETCH_TIMEOUT_MS: '1000',
+  CHECK_TIMEOUT_MS: '1000',
+  UPLOAD_TIMEOUT_MS: '1000',
+  UPLOAD_DISCOVERED_NODES: '0',
+  POLL_INTERVAL_MS: '20',
+  POLL_MAX_INTERVAL_MS: '100',
+  POLL_MAX_ATTEMPTS: '3',
+  WORK_DIR: tmp,
+  ARTIFACT_STORE: 'none',
+  API_KEYS: JSON.stringify(KEYS),
+  GRAPHQL_ENDPOINT: `http://127.0.0.1:${graphql.address().port}`,
+  SCAN_MAX_LIMIT: '1000',
+});
+const { app } = await import('../src/index.mjs');
+
+const server = app.listen(0, '127.0.0.1');
+await new Promise((resolve) => server.once('listening', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+// Four chunks: three full 256 KiB ones and the rest
+const payload = (seed) => Buffer.alloc(3 * 256 * 1024 + 1000, seed);
+
+function call(method, route, { key, body, signal } = {}) {
+  const headers = {};
+  if (key) headers.authorization = `Bearer ${key}`;
+  if (body) headers['content-type'] = 'application/json';
+  return fetch(`${base}${route}`, { method, headers, body: body && JSON.stringify(body), signal });
+}
+
+async function waitForJob(id, key) {
+  for (;;) {
+    const job = await (await call('GET', `/jobs/${id}`, { key })).json();
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+beforeEach(() => gateway.setFaults({}));
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => graphql.close(resolve));
+  await gateway.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('protected routes answer 401 without a valid key', async () => {
+  const missing = await call('POST', '/fix', { body: { txid: 'x'.repeat(43) } });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.deepEqual(await missing.json(), { error: 'Missing API key' });
+
+  const wrong = await call('GET', `/status/${'x'.repeat(43)}`, { key: 'nope' });
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(await wrong.json(), { error: 'Invalid API key' });
+
+  assert.equal((await call('GET', '/')).status, 200);
+});
+
+test('a bundle over the key size limit is refused with 413 and gives its slot back', async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(11) }], missing: 'all' });
+  const txid = bundle.items[0].id;
+  for (let i = 0; i < 2; i++) {
+    const res = await call('POST', '/fix', { key: 'key-small', body: { txid } });
+    assert.equal(res.status, 413);
+    assert.match((await res.json()).error, /limit for this client is 1000 bytes/);
+  }
+  assert.deepEqual(network.storedChunks(bundle.id), []);
+});
+
+test('a second repair over the concurrency limit gets 429 until the first finishes', async () => {
+  const first = await network.addBundle({ items: [{ data: payload(12) }], missing: 'all' });
+  const second = await network.addBundle({ items: [{ data: 'second' }] });
+  gateway.setFaults({ latencyMs: 100 });
+
+  const started = await call('POST', '/fix?async=true', { key: 'key-single', body: { txid: first.items[0].id } });
+  assert.equal(started.status, 202);
+  const { id } = await started.json();
+
+  const busy = await call('POST', '/fix', { key: 'key-single', body: { txid: second.items[0].id } });
+  assert.equal(busy.status, 429);
+  assert.match((await busy.json()).error, /Too many repairs in progress/);
+  // Other keys have slots of their own
+  assert.equal((await call('GET', `/status/${second.items[0].id}`, { key: 'key-open' })).status, 200);
+
+  assert.equal((await waitForJob(id, 'key-single')).status, 'succeeded');
+  const res = await call('GET', `/status/${second.items[0].id}`, { key: 'key-single' });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).diagnosis, 'available');
+});
+
+test('requests over the key rate limit get 429 with Retry-After', async () => {
+  const bundle = await network.addBundle({ items: [{ data: 'rate' }] });
+  const route = `/status/${bundle.items[0].id}`;
+  assert.equal((await call('GET', route, { key: 'key-slow' })).status, 200);
+  assert.equal((await call('GET', route, { key: 'key-slow' })).status, 200);
+  const limited = await call('GET', route, { key: 'key-slow' });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.match((await limited.json()).error, /Rate limit of 2 request\(s\) per minute exceeded/);
+});
+
+test('clients dropped from a full rate-limit table are only those whose own bucket has refilled', async () => {
+  const { createAccessControl } = await import('../src/auth.mjs');
+  const flood = Array.from({ length: 10000 }, (_, i) => ({
+    name: `flood-${i}`,
+    key: `flood-${i}`,
+    rateLimitPerMinute: 1,
+  }));
+  let t = 0;
+  const access = createAccessControl({
+    keys: [{ name: 'burst', key: 'burst', rateLimitPerMinute: 120 }, ...flood],
+    now: () => t,
+  });
+  const request = (key) => {
+    const req = { ip: '127.0.0.1', get: (h) => (h === 'x-api-key' ? key : undefined) };
+    let status = 200;
+    const res = { status: (s) => ((status = s), res), set: () => res, json: () => res };
+    access.authenticate(req, res, () => access.rateLimit(req, res, () => {}));
+    return status;
+  };
+
+  for (let i = 0; i < 120; i++) assert.equal(request('burst'), 200);
+  t += 15000; // refills 30 tokens of 120
+  assert.equal(request('burst'), 200);
+  for (const { key } of flood) request(key);
+  const statuses = Array.from({ length: 30 }, () => request('burst'));
+  assert.deepEqual(statuses, [...Array(29).fill(200), 429]);
+});
+
+test("a key cannot see, resume or cancel another key's job", async () => {
+  const bundle = await network.addBundle({ items: [{ data: payload(13) }], missing: 'all' });
+  gateway.setFaults({ latencyMs: 100 });
+  const started = await call('POST', '/fix?async=true', { key: 'key-open', body: { txid: bundle.items[0].id } });
+  assert.equal(started.status, 202);
+  const { id } = await started.json();
+
+  for (const [method, route] of [
+    ['GET', `/jobs/${id}`],
+    ['POST', `/jobs/${id}/resume`],
+    ['DELETE', `/jobs/${id}`],
+  ]) {
+    const res = await call(method, route, { key: 'key-single' });
+    assert.equal(res.status, 404, `${method} ${route}`);
+    assert.deepEqual(await res.json(), { error: 'Job not found' });
+  }
+
+  const job = await waitForJob(id, 'key-open');
+  assert.equal(job.status, 'succeeded');
+  assert.doesNotMatch(JSON.stringify(job), /key-open/);
+});
+
+test('a scan over SCAN_MAX_LIMIT is refused, and one in progress holds a slot until the client leaves', async () => {
+  const tooMany = await call('POST', '/scan', { key: 'key-single', body: { owner: 'someone', limit: 5000 } });
+  assert.equal(tooMany.status, 400);
+  assert.match(await tooMany.text(), /Invalid limit: 5000 \(at most 1000\)/);
+
+  const client = new AbortController();
+  const scan = await call('POST', '/scan', { key: 'key-single', body: { owner: 'someone' }, signal: client.signal });
+  assert.equal(scan.status, 200);
+  const bundle = await network.addBundle({ items: [{ data: 'scan' }] });
+  const route = `/status/${bundle.items[0].id}`;
+  assert.equal((await call('GET', route, { key: 'key-single' })).status, 429);
+
+  client.abort();
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  const pages = graphqlPages;
+  assert.ok(pages < 10, `${pages} pages listed`);
+  assert.equal((await call('GET', route, { key: 'key-single' })).status, 200);
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  assert.equal(graphqlPages, pages);
+});